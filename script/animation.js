@@ -0,0 +1,104 @@
+// Procedural animation for the OBJ figures (the character and the mother). The model's
+// meshes are moved into a "pose" group, so the figure itself keeps the position and heading
+// that movement and gravity work with while the pose bobs, leans, breathes and hops.
+// In model space +y is up and +z is the way the figure faces.
+
+// bob height and hop height, in world units
+const FIGURE_BOB = 1.2;
+const FIGURE_HOP = 3;
+// strides per block walked, and how long a hop up a stair lasts in seconds
+const FIGURE_STRIDES = 2;
+const FIGURE_HOP_DURATION = 0.25;
+// forward lean at full walk, and sideways lean per radian/second of turning, in radians
+const FIGURE_LEAN = 0.12;
+const FIGURE_TURN_LEAN = 0.04;
+const FIGURE_MAX_TURN_LEAN = 0.25;
+// backward tilt and flailing sway of a falling figure, in radians, and the flailing rate in Hz
+const FIGURE_FALL_TILT = 0.35;
+const FIGURE_FLAIL = 0.2;
+const FIGURE_FLAIL_RATE = 3;
+// seconds the walk takes to blend in or out
+const FIGURE_BLEND = 0.2;
+// breathing period in seconds, with the stretch and sway it brings
+const FIGURE_BREATH = 3;
+const FIGURE_BREATH_STRETCH = 0.015;
+const FIGURE_BREATH_SWAY = 0.03;
+
+class FigureAnimator {
+	constructor(object) {
+		this.object = object;
+		this.pose = new THREE.Group();
+		this.pose.add(...object.children);
+		object.add(this.pose);
+
+		this.time = 0;
+		this.stride = 0;
+		// 0 standing, 1 walking
+		this.walk = 0;
+		// 0 on the ground, 1 falling
+		this.fall = 0;
+		this.turnLean = 0;
+		this.hopTime = FIGURE_HOP_DURATION;
+		this.yaw = this.getYaw();
+	}
+
+	// starts a hop, e.g. on the first step up a flight of stairs
+	hop() {
+		this.hopTime = 0;
+	}
+
+	// `speed` is how fast the figure walks in blocks per second, 0 while it stands,
+	// `falling` is set while it drops through the air
+	update(delta, speed, falling = false) {
+		if (delta <= 0) {
+			return;
+		}
+		this.time += delta;
+		this.stride += speed * delta * FIGURE_STRIDES * Math.PI;
+		const blend = Math.min(delta / FIGURE_BLEND, 1);
+		this.walk += ((speed > 0 ? 1 : 0) - this.walk) * blend;
+		this.fall += ((falling ? 1 : 0) - this.fall) * blend;
+		this.hopTime = Math.min(this.hopTime + delta, FIGURE_HOP_DURATION);
+
+		// lean into turns: turning left (counter-clockwise from above) leans towards +x
+		const yaw = this.getYaw();
+		const turnRate = Math.atan2(Math.sin(yaw - this.yaw), Math.cos(yaw - this.yaw)) / delta;
+		this.yaw = yaw;
+		const turnLean = THREE.MathUtils.clamp(turnRate * FIGURE_TURN_LEAN, -FIGURE_MAX_TURN_LEAN, FIGURE_MAX_TURN_LEAN);
+		this.turnLean += (turnLean - this.turnLean) * blend;
+
+		const breath = Math.sin(this.time * 2 * Math.PI / FIGURE_BREATH) * (1 - this.walk);
+		const hop = this.hopTime / FIGURE_HOP_DURATION;
+		const lift = Math.abs(Math.sin(this.stride)) * FIGURE_BOB * this.walk + 4 * hop * (1 - hop) * FIGURE_HOP;
+
+		// the pose is in model units, the figure's scale turns them into world units
+		this.pose.position.y = lift / this.object.scale.y;
+		const flail = Math.sin(this.time * 2 * Math.PI * FIGURE_FLAIL_RATE) * FIGURE_FLAIL * this.fall;
+		this.pose.rotation.set(
+			FIGURE_LEAN * this.walk - FIGURE_FALL_TILT * this.fall,
+			0,
+			-this.turnLean + Math.sin(this.time * Math.PI / FIGURE_BREATH) * FIGURE_BREATH_SWAY * (1 - this.walk) + flail
+		);
+		this.pose.scale.y = 1 + breath * FIGURE_BREATH_STRETCH;
+	}
+
+	// fades the whole figure, 1 is opaque
+	setOpacity(opacity) {
+		this.pose.traverse((object) => {
+			if (!object.isMesh) {
+				return;
+			}
+			const materials = Array.isArray(object.material) ? object.material : [object.material];
+			materials.forEach((material) => {
+				material.transparent = opacity < 1;
+				material.opacity = opacity;
+			});
+		});
+	}
+
+	// heading of the figure's +z axis in the world xy plane
+	getYaw() {
+		const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.object.quaternion);
+		return Math.atan2(forward.y, forward.x);
+	}
+}
@@ -0,0 +1,176 @@
+// campaign currently being played, see levels/campaign.json
+let campaign;
+let campaignIndex = 0;
+// set once showEnding() has run, the keyboard and the gamepad stop steering the character
+let hasEnded = false;
+// carried across level changes for the whole visit
+let session = {
+	completed: [],
+	respawns: 0
+};
+const FOLD_DURATION = 800;
+// how long the summary of a finished level stays on the folded curtain
+const SUMMARY_DURATION = 1600;
+// how long the caption explaining a failed level change stays up
+const LEVEL_ERROR_DURATION = 6000;
+
+// ========== CAMPAIGN LOADING ==========
+// resolves to the manifest entry selected by ?level=<id>, the first one by default
+var loadCampaign = async (url) => {
+	const response = await fetch(url);
+	if (!response.ok) {
+		throw new Error(`failed to load campaign ${url} (${response.status})`);
+	}
+	const manifest = await response.json();
+	const errors = validateCampaign(manifest);
+	if (errors.length > 0) {
+		throw new Error(formatLevelErrors(url, errors));
+	}
+	campaign = manifest;
+
+	const requested = new URLSearchParams(window.location.search).get('level');
+	campaignIndex = requested === null ? 0 : campaign.levels.findIndex((each) => each.id === requested);
+	if (campaignIndex === -1) {
+		throw new Error(`${url} has no level "${requested}"`);
+	}
+	return campaign.levels[campaignIndex];
+}
+
+// ========== PROGRESSION ==========
+// the manifest's completion condition, run by the trigger runner like any level trigger
+var getCompletionTrigger = () => {
+	const condition = campaign.levels[campaignIndex].complete;
+	return {
+		cell: condition.reach === 'goal' ? level.goal : condition.reach,
+		once: true,
+		when: { allLights: Boolean(condition.allLights) },
+		actions: [{ type: 'nextLevel' }]
+	};
+}
+
+var completeLevel = async () => {
+	const current = campaign.levels[campaignIndex];
+	if (!session.completed.includes(current.id)) {
+		session.completed.push(current.id);
+	}
+
+	if (campaignIndex + 1 >= campaign.levels.length) {
+		showEnding();
+		return;
+	}
+	await changeLevel(campaignIndex + 1, getLevelSummary());
+}
+
+// what the curtain shows about the level just finished
+var getLevelSummary = () => {
+	const lights = level.lights.hidden.length;
+	return {
+		title: level.name,
+		lines: [
+			`光点 ${lights - progress.length} / ${lights}`,
+			`重生 ${respawnCount} 次`
+		]
+	};
+}
+
+// swaps the stage in place behind a fold, renderer and camera are kept;
+// the fold shows `summary` ({ title, lines }) when given
+var changeLevel = async (index, summary) => {
+	const entry = campaign.levels[index];
+	isTransitioning = true;
+	isMoving = false;
+	path = [];
+
+	const previous = { level, index: campaignIndex };
+	try {
+		await foldTransition(true, summary);
+		// the level file and the models are fetched before the stage is touched,
+		// a level that fails to load or validate leaves the current one in place
+		const [levelData, figures] = await Promise.all([fetchLevel(entry.file, entry.complete), loadFigures()]);
+		try {
+			campaignIndex = index;
+			swapStage(levelData, figures);
+		} catch (error) {
+			// the old stage went with the failed swap, the level being left is rebuilt from its own data
+			campaignIndex = previous.index;
+			swapStage(previous.level, await loadFigures());
+			throw error;
+		}
+		window.history.replaceState(null, '', `?level=${encodeURIComponent(entry.id)}`);
+	} catch (error) {
+		console.error(error);
+		// the character is still on the level it finished, stepping onto the goal again retries
+		rearmCompletion();
+		showCaption(`无法进入「${entry.id}」：${error.message.split('\n')[0].replace(/:$/, '')}`, LEVEL_ERROR_DURATION);
+	} finally {
+		await foldTransition(false);
+		isTransitioning = false;
+	}
+}
+
+// replaces the stage with one built for `levelData`, synchronous once the figures are loaded
+var swapStage = (levelData, figures) => {
+	disposeStage();
+	useLevel(levelData);
+	buildStage();
+	enterLevel(figures);
+}
+
+// ========== TRANSITION ==========
+var foldTransition = async (folded, summary) => {
+	let curtain = document.getElementById('transition');
+	if (curtain === null) {
+		curtain = document.createElement('div');
+		curtain.id = 'transition';
+		document.body.appendChild(curtain);
+	}
+	if (folded) {
+		curtain.replaceChildren(...(summary ? renderSummary(summary) : []));
+	}
+	curtain.style.backgroundColor = `rgb(${settings.background})`;
+	curtain.classList.toggle('folded', folded);
+	await delay(FOLD_DURATION);
+	if (folded && summary) {
+		await delay(SUMMARY_DURATION);
+	}
+}
+
+var renderSummary = ({ title, lines }) => {
+	const heading = document.createElement('h2');
+	heading.textContent = title;
+	return [heading, ...lines.map((line) => {
+		const paragraph = document.createElement('p');
+		paragraph.textContent = line;
+		return paragraph;
+	})];
+}
+
+var showEnding = () => {
+	const { title, text, link, linkText } = campaign.ending;
+	hasEnded = true;
+	isMoving = false;
+	path = [];
+	controls.autoRotate = true;
+
+	const ending = document.createElement('div');
+	ending.id = 'ending';
+	const heading = document.createElement('h1');
+	heading.textContent = title;
+	const paragraph = document.createElement('p');
+	paragraph.textContent = text;
+	const respawns = document.createElement('p');
+	respawns.className = 'summary';
+	respawns.textContent = `共重生 ${session.respawns} 次`;
+	ending.append(heading, paragraph, respawns);
+	if (link) {
+		const anchor = document.createElement('a');
+		anchor.href = link;
+		anchor.className = 'button';
+		anchor.textContent = linkText || link;
+		ending.append(anchor);
+	}
+	document.body.appendChild(ending);
+
+	// let the transition run from the initial transparent state
+	requestAnimationFrame(() => ending.classList.add('visible'));
+}
@@ -0,0 +1,168 @@
+// Crumbling and light-bound platforms, the two kinds of floor that do not wait for the
+// character to step off before they go; standing on one when it does means a fall.
+//   crumbling blocks are CELL_CRUMBLE cells in the grid: stepped on they crack, and they fall
+//   "crumbleDelay" seconds later (CRUMBLE_DELAY by default). A respawn puts them back.
+//   light-bound platforms (see "timedPlatforms" in levels/*.json):
+//     { "cells": [{ z, x, y }, ...], "light": { z, x, y }, "on": 3, "off": 2 }
+//   are CELL_BLOCK cells that are only there while the light is lit. With "on" and "off"
+//   they then come and go, there for `on` seconds and gone for `off`, flickering before they go.
+
+// in seconds
+const CRUMBLE_DELAY = 2;
+// how long a fallen block takes to drop out of sight, and fading light-bound platforms, in ms
+const CRUMBLE_FALL = 600;
+const TIMED_FADE = 300;
+// how long a light-bound platform flickers before it goes, in ms
+const TIMED_WARNING = 600;
+// how far a cracked block shakes just before it falls, in world units
+const CRUMBLE_SHAKE = 1.5;
+
+// { cell, cube, state: 'intact' | 'cracked' | 'falling' | 'fallen', since, base }
+let crumbles = [];
+// { cells, light, on, off, cubes, solid, litSince, opacity }
+let timedPlatforms = [];
+
+// ========== SETUP ==========
+// called by buildStage() before floorplanRenderer(), which leaves the light-bound cells alone
+// and registers every crumbling block through trackCrumble()
+var buildFragilePlatforms = () => {
+	crumbles = [];
+	timedPlatforms = (level.timedPlatforms || []).map((definition) => ({
+		cells: definition.cells,
+		light: definition.light,
+		on: definition.on,
+		off: definition.off,
+		cubes: [],
+		// every platform starts gone, the first update brings back the ones whose light is lit
+		solid: false,
+		litSince: undefined,
+		opacity: 0
+	}));
+	timedPlatforms.forEach((platform) => {
+		platform.cells.forEach((cell) => {
+			floorplan[cell.z][cell.x][cell.y] = CELL_BLANK;
+			const center = getBlockCenter(cell);
+			const cube = new Cube(center.x, center.y, center.z, `rgb(${settings.cellColor})`, blockSize, false, 0, cell);
+			cube.render();
+			cube.setOpacity(0);
+			platform.cubes.push(cube);
+		});
+	});
+}
+
+var findTimedPlatform = (cell) => {
+	return timedPlatforms.find((platform) => platform.cells.some((each) => isSameCell(each, cell)));
+}
+
+// render() of CELL_CRUMBLE, see script/grid.js
+var trackCrumble = (cell, cube) => {
+	crumbles.push({ cell, cube, state: 'intact', since: 0, base: undefined });
+	return cube;
+}
+
+// ========== CRUMBLING ==========
+// onStep of CELL_CRUMBLE
+var crackPlatform = (cell) => {
+	const crumble = crumbles.find((each) => isSameCell(each.cell, cell));
+	if (crumble !== undefined && crumble.state === 'intact') {
+		crumble.state = 'cracked';
+		crumble.since = Date.now();
+		crumble.base = crumble.cube.mesh.position.clone();
+		crumble.cube.setCracked(true);
+	}
+}
+
+// called by respawn(), the character gets another go at the blocks it broke
+var restoreCrumbles = () => {
+	const broken = crumbles.filter((crumble) => crumble.state !== 'intact');
+	broken.forEach((crumble) => {
+		floorplan[crumble.cell.z][crumble.cell.x][crumble.cell.y] = CELL_CRUMBLE;
+		crumble.cube.mesh.position.copy(crumble.base);
+		crumble.cube.setCracked(false);
+		crumble.cube.setOpacity(1);
+		crumble.state = 'intact';
+	});
+	if (broken.length > 0) {
+		rebuildNavGraph();
+	}
+}
+
+// ========== UPDATE ==========
+// called every frame, the grid only changes while no rotator or mover is on the move
+var updateFragilePlatforms = () => {
+	const now = Date.now();
+	const canChange = !isRotating() && !isMoverRunning();
+	let changed = false;
+
+	crumbles.forEach((crumble) => {
+		const mesh = crumble.cube.mesh;
+		if (crumble.state === 'cracked') {
+			const fraction = Math.min((now - crumble.since) / 1000 / (level.crumbleDelay || CRUMBLE_DELAY), 1);
+			mesh.position.set(
+				crumble.base.x + (Math.random() - 0.5) * 2 * CRUMBLE_SHAKE * fraction,
+				crumble.base.y + (Math.random() - 0.5) * 2 * CRUMBLE_SHAKE * fraction,
+				crumble.base.z
+			);
+			if (fraction >= 1 && canChange) {
+				floorplan[crumble.cell.z][crumble.cell.x][crumble.cell.y] = CELL_BLANK;
+				crumble.state = 'falling';
+				crumble.since = now;
+				changed = true;
+			}
+		} else if (crumble.state === 'falling') {
+			const fraction = Math.min((now - crumble.since) / CRUMBLE_FALL, 1);
+			mesh.position.copy(crumble.base);
+			mesh.position.z -= fraction * fraction * blockSize * 3;
+			crumble.cube.setOpacity(1 - fraction);
+			if (fraction >= 1) {
+				crumble.state = 'fallen';
+			}
+		}
+	});
+
+	timedPlatforms.forEach((platform) => {
+		const lit = isLightLit(platform.light);
+		if (!lit) {
+			platform.litSince = undefined;
+		} else if (platform.litSince === undefined) {
+			platform.litSince = now;
+		}
+		let wanted = lit;
+		let warning = false;
+		if (lit && platform.on !== undefined) {
+			const cycle = ((now - platform.litSince) / 1000) % (platform.on + platform.off);
+			wanted = cycle < platform.on;
+			warning = wanted && cycle > platform.on - TIMED_WARNING / 1000;
+		}
+		if (wanted !== platform.solid && canChange && (!wanted || !isInTheWay(platform))) {
+			platform.cells.forEach((cell) => {
+				floorplan[cell.z][cell.x][cell.y] = wanted ? CELL_BLOCK : CELL_BLANK;
+			});
+			platform.solid = wanted;
+			changed = true;
+		}
+
+		const fade = frameDelta * 1000 / TIMED_FADE;
+		platform.opacity = platform.solid
+			? Math.min(platform.opacity + fade, 1)
+			: Math.max(platform.opacity - fade, 0);
+		const flicker = warning && Math.floor(now / 100) % 2 === 0 ? 0.4 : 1;
+		platform.cubes.forEach((cube) => cube.setOpacity(platform.opacity * flicker));
+	});
+
+	if (changed) {
+		rebuildNavGraph();
+	}
+}
+
+var isLightLit = (cell) => {
+	return pointLights.some((light) => light.parent !== null && isSameCell(light.userData.cell, cell));
+}
+
+// a platform never appears over the character, nor where it is about to step
+var isInTheWay = (platform) => {
+	const occupied = [characterCell, ...(isWalking() ? path.slice(0, 1) : [])];
+	return platform.cells.some((cell) => occupied.some((each) =>
+		isSameCell(cell, each) || isSameCell(cell, { z: each.z - 1, x: each.x, y: each.y })
+	));
+}
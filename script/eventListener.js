@@ -2,22 +2,27 @@
 const delay = (ms) => new Promise((res) => setTimeout(res, ms));
 const mouse = new THREE.Vector2();
 const mousePointer = new THREE.Raycaster();
-const gravityRay= new THREE.Raycaster();
-const GRAVITY = 1.0;
-const MOVEMENT = 2.5;
+// falling acceleration and top speed, in blocks per second (squared)
+const GRAVITY = 30;
+const MAX_FALL_SPEED = 25;
+// how far feet may sink below a top, in world units, and still stand on it
+const LANDING_TOLERANCE = 0.5;
+// walking speed in blocks per second, gained and shed at WALK_ACCELERATION blocks/s²
+const WALK_SPEED = 3.75;
+const WALK_ACCELERATION = 15;
+// how fast the character turns to face where it walks, in radians per second
+const TURN_SPEED = 12;
+// the longest frame time-based movement advances by, a stalled tab does not teleport the character
+const MAX_FRAME_DELTA = 100;
+// orientation of the model facing -y, other headings turn it about the world z axis
+const CHARACTER_FACING = new THREE.Quaternion().setFromEuler(new THREE.Euler(Math.PI/2, 0, 0));
 // actual coordinates of floorplan[0][0][0]
 let defaultMapGeometry = new THREE.Vector3(0, 0, 0);
 
 // =====Event Triggers======
-const DEST_BLACKLIST = [{ z: 10, x: 9, y: 2 }, { z: 10, x: 8, y: 8 }, { z: 10, x: 4, y: 6 }, { z: 10, x: 2 , y: 10 }]
-const INTRO 	= { z: 10, x: 10, y: 2 };
-const PORTFOLIO = { z: 10, x: 9, y: 8 };
-const CONTACT 	= { z: 10, x: 3, y: 6 };
-const BONUS		= { z: 10, x: 2 , y: 9 };
-// 母亲角色出现的位置（每关终点）
-const MOTHER_MAIN_END  = BONUS;                 // 主关终点
-const MOTHER_BONUS_END = { z: 10, x: 10, y: 2 } // Bonus 关终点（与 INTRO 对称的位置）
-let eventRunning = false;
+// step triggers are declared per level and run by script/trigger.js
+// set while the stage is being swapped for the next level
+let isTransitioning = false;
 
 // =====Directions=====
 const XM = 0; // -x
@@ -28,19 +33,45 @@ const UA = 4; // unreachable/arrival
 
 // =====variables=====
 let character;
+// procedural animation of the character and the mother, see script/animation.js
+let characterAnimator;
+let motherAnimator;
+// navigation node the character stands on, updated once a step is finished
+let characterCell;
+// graph of the level itself, and the one in use with the illusions of the current view
+let baseNavGraph;
+let navGraph;
 let MOUSE_POINTED;
 let CHARACTER_LOCATED;
 
 var stop = false;
 var frameCount = 0;
 var fpsInterval, startTime, now, then, elapsed;
+// seconds since the previous update, see MAX_FRAME_DELTA
+let frameDelta = 0;
+let lastUpdate;
 
 var isMoving = false;
 var path = [];
+// current falling speed in blocks per second, and the height the fall began at
+let fallSpeed = 0;
+let fallFrom;
+// current walking speed in blocks per second, and the way the character is turning to face
+let walkSpeed = 0;
+// node the step in progress heads for
+let currentStep;
+const characterHeading = new THREE.Quaternion();
+// AbortController of the route request still waiting for the pathfinder
+let pathRequest;
 
 var blockOnCursor;
 let upDown = true;
 
+// feedback for a click the character cannot reach: { mesh, start, shake, angle }
+let unreachable;
+const UNREACHABLE_DURATION = 600;
+const UNREACHABLE_COLOR = 0xd04848;
+
 // ========== RESIZE ==========
 var resizeListener = () => {
 	window.addEventListener('resize', () => {
@@ -51,36 +82,42 @@ var resizeListener = () => {
 }
 
 // ========== ON LOAD ==========
-var loadListener = async () => {
+var loadListener = async (campaignUrl = 'levels/campaign.json') => {
 	window.addEventListener('load', async () => {
-		settings = data.settings;
-		document.body.style.background = `rgb(${settings.background})`;
-		floorplan = data.floorplan;
-		await initGame()
-		.then(scene.add(progress.shift()))
-		.then(await loadCharacter(scene)
-			.then(() => {
-				// limit frame rate based on the settings
-				fpsInterval = 1000 / settings.frameRate;
-				then = Date.now();
-				startTime = then;
-				animate();
-			}))
-		.then(async () => {
-			// 在主关终点生成“母亲”角色
-			await loadMother(scene, MOTHER_MAIN_END);
-		})
-		.then(() => {
-			let loadingDiv = document.getElementById('loading');
-			loadingDiv.parentNode.removeChild(loadingDiv);
-		});
+		let figures;
+		try {
+			const entry = await loadCampaign(campaignUrl);
+			await loadLevel(entry.file, entry.complete);
+			figures = await loadFigures();
+		} catch (error) {
+			console.error(error);
+			showLoadError(error);
+			return;
+		}
+		await initGame();
+		enterLevel(figures);
+
+		then = Date.now();
+		startTime = then;
+		lastUpdate = then;
+		animate();
+
+		let loadingDiv = document.getElementById('loading');
+		if (loadingDiv) loadingDiv.parentNode.removeChild(loadingDiv);
 	});
 
-	defaultMapGeometry = new THREE.Vector3(
-		0 - (Math.floor(data.floorplan[0].length / 2) * blockSize),
-		0 - (Math.floor(data.floorplan[0].length / 2) * blockSize),
-		0 + (Math.ceil(data.floorplan.length / 2) * blockSize)
-	);
+	// the campaign or the first level could not be read, there is nothing to play:
+	// the page lists what is wrong, with the messages of formatLevelErrors()
+	const showLoadError = (error) => {
+		const panel = document.createElement('div');
+		panel.id = 'load-error';
+		const heading = document.createElement('h2');
+		heading.textContent = '关卡无法载入';
+		const details = document.createElement('pre');
+		details.textContent = error.message;
+		panel.append(heading, details);
+		document.body.appendChild(panel);
+	}
 
 	const animate = () => {
 		requestAnimationFrame(animate);
@@ -88,14 +125,40 @@ var loadListener = async () => {
 		elapsed = now - then;
 		if (elapsed > fpsInterval) {
 			then = now - (elapsed % fpsInterval);
-
-			// gravity action
-			applyGravity();
-			// character behaviour 
-			applyMovement();
+			frameDelta = Math.min(now - lastUpdate, MAX_FRAME_DELTA) / 1000;
+			lastUpdate = now;
+
+			if (character !== undefined && !isTransitioning) {
+				updateRotators();
+				updateMovers();
+				updateGates();
+				updateFragilePlatforms();
+				updatePortals();
+				updateUnreachable();
+				updateDeath();
+				if (!isDying()) {
+					// held movement keys and the gamepad, see script/keyboard.js and script/gamepad.js
+					updateKeyboard();
+					updateGamepad();
+					// gravity action
+					applyGravity();
+					// character behaviour 
+					applyMovement();
+				}
+				// hovered platform and the route preview, see script/hover.js
+				updateHover();
+				updateWaypoints();
+				characterAnimator.update(frameDelta, isMoving ? walkSpeed : 0, fallSpeed > 0);
+				if (motherAnimator !== undefined) {
+					motherAnimator.update(frameDelta, 0);
+				}
+			}
 			
 			// render
-			if (controls) controls.update();
+			if (controls) {
+				updateCameraView();
+				controls.update();
+			}
 			renderer.render(scene, camera);
 				
 			pointLights.forEach((each) => {
@@ -119,238 +182,217 @@ var loadListener = async () => {
 	}
 }
 
-var loadBonusListener = async () => {
-	isBonus = true;
-	window.addEventListener('load', async () => {
-		settings = data.settings;
-		document.body.style.background = `rgb(${settings.background})`;
-		floorplan = data.bonusStage;
-		await initGame()
-		.then(scene.add(progress.shift()))
-		.then(await loadCharacter(scene)
-			.then(() => {
-				// limit frame rate based on the settings
-				fpsInterval = 1000 / settings.frameRate;
-				then = Date.now();
-				startTime = then;
-				animate();
-			})
-		)
-		.then(async () => {
-			// 在 Bonus 关终点生成“母亲”角色
-			await loadMother(scene, MOTHER_BONUS_END);
-		});
-	});
-
-	defaultMapGeometry = new THREE.Vector3(
-		0 - (Math.floor(data.floorplan[0].length / 2) * blockSize),
-		0 - (Math.floor(data.floorplan[0].length / 2) * blockSize),
-		0 + (Math.ceil(data.floorplan.length / 2) * blockSize)
-	);
-
-	const animate = () => {
-		requestAnimationFrame(animate);
-		now = Date.now();
-		elapsed = now - then;
-		if (elapsed > fpsInterval) {
-			then = now - (elapsed % fpsInterval);
-
-			// gravity action
-			applyGravity();
-			// character behaviour 
-			applyMovement();
-			
-			// render
-			if (controls) controls.update();
-			renderer.render(scene, camera);
-				
-			pointLights.forEach((each) => {
-				pointLightsZ.push(each.position.z);
-			});
+// populates the stage built for the current level, `figures` as loadFigures() resolves them
+var enterLevel = (figures) => {
+	document.body.style.background = `rgb(${settings.background})`;
+	// limit frame rate based on the settings
+	fpsInterval = 1000 / settings.frameRate;
+	isMoving = false;
+	path = [];
+	walkSpeed = 0;
+	fallSpeed = 0;
+	currentStep = undefined;
+	portalCrossing = undefined;
+	MOUSE_POINTED = undefined;
+	blockOnCursor = undefined;
+	unreachable = undefined;
+	if (pathRequest !== undefined) {
+		pathRequest.abort();
+		pathRequest = undefined;
+	}
 
-			for (let i = 0; i < pointLights.length; i++) {
-				if (pointLights[i].position.z >= pointLightsZ[i] + 4) {
-					upDown = false;
-				} else if (pointLights[i].position.z <= pointLightsZ[i] - 4) {
-					upDown = true;
-				}
-				if (upDown) {
-					pointLights[i].position.lerp(new THREE.Vector3(pointLights[i].position.x, pointLights[i].position.y, pointLightsZ[i] + 15), 0.02);
-				} else {
-					pointLights[i].position.lerp(new THREE.Vector3(pointLights[i].position.x, pointLights[i].position.y, pointLightsZ[i] - 15), 0.02);
-				}
-			}
-		}	
+	// a level may have no hidden lights at all
+	if (progress.length > 0) {
+		scene.add(progress.shift());
 	}
+	rebuildNavGraph();
+	characterCell = navGraph.nodes.get(cellKey(level.start));
+	resetTriggers();
+	resetCheckpoints();
+	loadCharacter(scene, figures.character);
+	characterHeading.copy(character.quaternion);
+	// 在关卡终点生成“母亲”角色
+	loadMother(scene, level.mother, figures.mother);
+}
+
+// called whenever the grid changes under the character
+var rebuildNavGraph = () => {
+	refreshPlatforms();
+	baseNavGraph = buildNavGraph(floorplan, level.portals);
+	applyIllusions();
 }
 
 // ========== MOVEMNET + EVENT ==========
+// the character stands on the top of the cell found by findSupportLayer() under its feet,
+// or falls towards it with GRAVITY; a mover carries its rider itself
 var applyGravity = () => {
-	if (!isMoving) {
-		gravityRay.set(character.position, new THREE.Vector3(0, 0, -1));
-		// gravitty visualization for debugging
-		// scene.add(new THREE.ArrowHelper(gravityRay.ray.direction, gravityRay.ray.origin, 300, 0xff0000, 0, 0));
-		const standingPlatforms = gravityRay.intersectObjects(scene.children);
-		if (standingPlatforms.length > 0) {
-			let firstEncounter = standingPlatforms[0];
-			if (firstEncounter.distance > 0) {
-				character.position.set(character.position.x, character.position.y, character.position.z - GRAVITY);
-			} else if (firstEncounter.distance < 0) {
-				character.position.set(character.position.x, character.position.y, character.position.z + GRAVITY);
-			}
+	if (isWalking() || characterCell.kind === NODE_STAIRS || isRiding()) {
+		fallSpeed = 0;
+		return;
+	}
+	const x = Math.round((character.position.x - defaultMapGeometry.x) / blockSize);
+	const y = Math.round((character.position.y - defaultMapGeometry.y) / blockSize);
+	const fromZ = Math.ceil((defaultMapGeometry.z - character.position.z - LANDING_TOLERANCE) / blockSize);
+	const supportZ = findSupportLayer(floorplan, fromZ, x, y);
+	const top = supportZ === -1 ? -Infinity : getActualPosition({ z: supportZ }).z;
+
+	if (character.position.z - top > LANDING_TOLERANCE) {
+		if (fallSpeed === 0) {
+			fallFrom = character.position.z;
 		}
+		fallSpeed = Math.min(fallSpeed + GRAVITY * frameDelta, MAX_FALL_SPEED);
+		character.position.z = Math.max(character.position.z - fallSpeed * blockSize * frameDelta, top);
+	}
+	const landed = character.position.z - top <= LANDING_TOLERANCE;
+	// a fall too deep ends in a respawn, see script/respawn.js
+	if (fallSpeed > 0 && checkFall((fallFrom - character.position.z) / blockSize, landed, supportZ !== -1)) {
+		return;
+	}
+	if (landed) {
+		land({ z: supportZ, x, y });
 	}
 }
 
-var applyMovement = async () => {
-	let currentPos = getMapLocation(character.position);
-	if (currentPos.x === INTRO.x && currentPos.y === INTRO.y) {
-		if (progress.length === 3) {
-			scene.add(progress.shift());
-		}
-	} else if (currentPos.x === PORTFOLIO.x && currentPos.y === PORTFOLIO.y) {
-		if (progress.length === 2) {
-			scene.add(progress.shift());
-		}
-	} else if ((currentPos.x === CONTACT.x && currentPos.y === CONTACT.y)) {
-		if (progress.length === 1) {
-			scene.add(progress.shift());
-		}
-	} else if ((currentPos.x === BONUS.x && currentPos.y === BONUS.y)) {
-		if (!eventRunning) {
-			eventRunning = true;
-			window.location.href = "bonus.html";
-		}
-	} else if (!(currentPos.x === INTRO.x && currentPos.y === INTRO.y) &&
-				!(currentPos.x === PORTFOLIO.x && currentPos.y === PORTFOLIO.y) &&
-				!(currentPos.x === CONTACT.x && currentPos.y === CONTACT.y)) {
-		eventRunning = false;
+// snaps the character onto the top of `cell`, which becomes the cell it stands on;
+// a cell that stops the fall without being walkable (a pillar, a tail, the top of the stairs)
+// would leave the character stranded off the graph, so landing there is deadly
+var land = (cell) => {
+	character.position.z = getActualPosition(cell).z;
+	fallSpeed = 0;
+	if (isSameCell(cell, characterCell)) {
+		return;
+	}
+	const node = navGraph.nodes.get(cellKey(cell));
+	if (node === undefined) {
+		die(true);
+		return;
 	}
+	characterCell = node;
+}
+
+var applyMovement = async () => {
+	onCharacterStep(characterCell);
 
 	if (isMoving) {
 		if (path.length === 0) {
 			isMoving = false;
-			MOUSE_POINTED.material.color.set(`rgb(${data.settings.cellColor})`);
-		} else {
-			let next = getActualPosition(path[0]);
-			if (character.position.x > next.x) {
-				character.rotation.set(Math.PI/2, -Math.PI/2, 0);
-				character.position.set(character.position.x - MOVEMENT, character.position.y, character.position.z);
-			} else if (character.position.x < next.x) {
-				character.rotation.set(0, Math.PI/2, Math.PI/2);
-				character.position.set(character.position.x + MOVEMENT, character.position.y, character.position.z);
-			} else if (character.position.y > next.y) {
-				character.rotation.set(Math.PI/2, 0, 0);
-				character.position.set(character.position.x, character.position.y - MOVEMENT, character.position.z);
-			} else if (character.position.y < next.y) {
-				character.rotation.set(-Math.PI/2, 0, Math.PI);
-				character.position.set(character.position.x, character.position.y + MOVEMENT, character.position.z);
-			}
-
-			if (character.position.x === next.x && character.position.y === next.y) {
-				path.shift();
+			walkSpeed = 0;
+			if (MOUSE_POINTED !== undefined) {
+				MOUSE_POINTED.material.color.set(`rgb(${settings.cellColor})`);
 			}
+		} else if (!(navGraph.edges.get(cellKey(characterCell)) || []).includes(cellKey(path[0]))) {
+			// the camera left the view whose illusion this route relied on, or the floor went
+			path = [];
+		} else {
+			walkAlongPath();
 		}
 	}
+	turnCharacter();
 }
 
-// BFS pathfinding
-var findPath = async (destination) => {
-	let dest = getMapLocation(destination);
-	let start = getMapLocation(character.position);
-	
-	// no need to calc this case
-	if (dest.x === start.x && dest.y === start.y) {
-		return [];
+// advances the character towards path[0] by frameDelta seconds of walking
+var walkAlongPath = () => {
+	if (navGraph.portals.has(edgeKey(characterCell, path[0]))) {
+		crossPortal();
+		return;
 	}
-
-	let destKey = `${dest.x}x${dest.y}`
-	let queue = [start];
-	let parents = {};
-
-	while (queue.length > 0) {
-		let curr = queue.shift();
-		let currKey = `${curr.x}x${curr.y}`
-
-		// no need to run any further
-		if (currKey === destKey) {
-			break;
+	// across an illusion the character walks to the seam and carries on from the far side
+	const illusion = navGraph.illusions.get(edgeKey(characterCell, path[0]));
+	const next = getNodePosition(illusion ? illusion.slot : path[0]);
+	const offset = new THREE.Vector2(next.x - character.position.x, next.y - character.position.y);
+	const horizontal = offset.length();
+
+	// speed up from rest, and slow down in time to stop on the last block of the route
+	const blocksLeft = horizontal / blockSize + path.length - 1;
+	walkSpeed = Math.min(
+		walkSpeed + WALK_ACCELERATION * frameDelta,
+		WALK_SPEED,
+		Math.sqrt(2 * WALK_ACCELERATION * blocksLeft)
+	);
+	const distance = walkSpeed * blockSize * frameDelta;
+
+	// every step up the stairs starts with a little hop
+	const stepKey = cellKey(path[0]);
+	if (stepKey !== currentStep) {
+		currentStep = stepKey;
+		if (next.z > character.position.z + 1) {
+			characterAnimator.hop();
 		}
+	}
 
-		// XM, XP, YM, YP
-		let neighbors = [
-			{z: curr.z, x: curr.x - 1, y: curr.y},
-			{z: curr.z, x: curr.x + 1, y: curr.y},
-			{z: curr.z, x: curr.x, y: curr.y - 1},
-			{z: curr.z, x: curr.x, y: curr.y + 1}
-		];
-
-		for (let i = 0; i < neighbors.length; i++) {
-			const tempZ = neighbors[i].z;
-			const tempX = neighbors[i].x;
-			const tempY = neighbors[i].y;
-
-			// do nothing if the neighbor is out of the grid
-			if (tempX < 0 || tempX > data.floorplan[0].length - 1 ||
-				tempY < 0 || tempY > data.floorplan[0].length - 1) {
-				continue;
-			}
-
-			if (data.floorplan[tempZ][tempX][tempY] !== 1) {
-				continue;
-			}
-			
-			let temp = {
-				z: tempZ,
-				x: tempX,
-				y: tempY
-			}
-			let tempKey = `${temp.x}x${temp.y}`
-
-			if (tempKey in parents) {
-				continue;
-			}
-			
-			parents[tempKey] = {
-				key: currKey,
-				platform: curr
-			};
+	if (horizontal > 0) {
+		characterHeading
+			.setFromAxisAngle(UP_AXIS, Math.atan2(offset.y, offset.x) + Math.PI/2)
+			.multiply(CHARACTER_FACING);
+	}
 
-			queue.push(neighbors[i]);
-		}
+	if (distance >= horizontal) {
+		// snapping onto the block leaves no floating-point drift behind
+		character.position.copy(illusion ? getNodePosition(path[0]) : next);
+		characterCell = path.shift();
+		return;
 	}
+	// climb in step with the horizontal move so stairs are walked up, not jumped
+	const fraction = distance / horizontal;
+	character.position.set(
+		character.position.x + offset.x * fraction,
+		character.position.y + offset.y * fraction,
+		character.position.z + (next.z - character.position.z) * fraction
+	);
+}
 
-	// configure path
-	let path = [];
-	let backword = dest;
+// eases the character round to characterHeading, unless it is shaking its head on the spot
+var turnCharacter = () => {
+	if (unreachable !== undefined && unreachable.shake && !isMoving) {
+		return;
+	}
+	character.quaternion.rotateTowards(characterHeading, TURN_SPEED * frameDelta);
+}
 
-	while (backword !== start) {
-		path.push(backword);
+// A* pathfinding over the navigation graph, run by script/pathfinder.js off the main thread;
+// when dest cannot be reached the route ends at the reachable node closest to it instead.
+// Rejects with an AbortError once `signal` aborts.
+var findPath = async (dest, signal) => {
+	// finish the step in progress before following the new route
+	const inProgress = path.length > 0;
+	const start = inProgress ? path[0] : characterCell;
+	const route = await requestRoute(start, dest, getLitCells(), signal);
+	return inProgress ? [start, ...route] : route;
+}
 
-		const { key, platform } = parents[destKey];
-		backword = platform;
-		destKey = key;
+// drops the route being walked or searched for
+var stopWalking = () => {
+	isMoving = false;
+	path = [];
+	if (pathRequest !== undefined) {
+		pathRequest.abort();
+		pathRequest = undefined;
 	}
-	out = path.reverse();
-	
-	// make sure the character does not step on non-platform blocks
-	for (let i = 0; i < DEST_BLACKLIST.length; i++) {
-		if (out[out.length - 1].x === DEST_BLACKLIST[i].x &&
-			out[out.length - 1].y === DEST_BLACKLIST[i].y) {
-			out.pop();
-			break;
-		}
+	if (MOUSE_POINTED !== undefined) {
+		MOUSE_POINTED.material.color.set(`rgb(${settings.cellColor})`);
+		MOUSE_POINTED = undefined;
 	}
-	return out;
 }
 
-// map coordinates: { z, x, y }
-var getMapLocation = (vectorLocation) => {
-	return {
-		z: Math.ceil(Math.abs(vectorLocation.z/20 - 11)),
-		x: Math.ceil(vectorLocation.x/20 + 6),
-		y: Math.ceil(vectorLocation.y/20 + 6)
+// the character is mid-walk, or halted mid-step while the route of a new click is searched for
+var isWalking = () => {
+	return isMoving || pathRequest !== undefined;
+}
+
+// cells of the lights revealed so far, walking near them is cheaper (see makeStepCost())
+var getLitCells = () => {
+	return pointLights
+		.filter((light) => light.parent !== null && light.userData.cell)
+		.map((light) => light.userData.cell);
+}
+
+// stairs hold the character halfway between the two floors they join
+var getNodePosition = (node) => {
+	const position = getActualPosition(node);
+	if (node.kind === NODE_STAIRS) {
+		position.z -= blockSize / 2;
 	}
+	return position;
 }
 
 var getActualPosition = (mapVector) => {
@@ -361,74 +403,103 @@ var getActualPosition = (mapVector) => {
 	);
 }
 
-// ========== MOUSE ACTION ==========
-var mouseListener = () => {
-	renderer.domElement.addEventListener('mousemove', (event) => {
-		event.preventDefault();
-		mouse.x = (event.clientX/window.innerWidth) * 2 - 1;
-		mouse.y = -(event.clientY/window.innerHeight) * 2 + 1;
-	}, false);
-
-	renderer.domElement.addEventListener('click', onMouseDown, false);
-	renderer.domElement.addEventListener('touchstart', onMouseDown, false);
+// ========== SELECTION ==========
+var canSelectCell = () => {
+	return !isTransitioning && !isRotating() && !isRiding() && !isDying();
 }
 
-var onMouseDown = async (event) => {
-	controls.autoRotate = false; 
+// the "select cell" command: walks the character to a platform cell, or with `append` queues
+// it as a waypoint (see script/waypoints.js). Taps, clicks and the gamepad all end up here,
+// see script/input.js and script/gamepad.js
+var selectCell = async (cell, append = false) => {
+	if (append) {
+		return queueWaypoint(cell);
+	}
+	const target = findCellMesh(cell);
+	if (!canSelectCell() || target === undefined) return;
+	controls.autoRotate = false;
 	isMoving = false;
-	
-	let intersects;
-	if (!isMoving) {
-		if (isMobile()) {
-			mouse.x = (event.changedTouches[0].clientX / window.innerWidth) * 2 - 1;
-			mouse.y = - (event.changedTouches[0].clientY / window.innerHeight) * 2 + 1;
-		}
+	// a plain selection drops the queued waypoints
+	clearWaypoints();
 
-		mousePointer.setFromCamera(mouse, camera);
-		intersects = mousePointer.intersectObjects(scene.children);
+	if (target !== blockOnCursor) {
+		if (blockOnCursor !== undefined) blockOnCursor.material.color.set(`rgb(${settings.cellColor})`);
+		blockOnCursor = target;
+	}
+	MOUSE_POINTED = target;
+	MOUSE_POINTED.material.color.set(0xFFFFFF);
 
-		if (intersects !== null && intersects.length > 0) {
-			let target;
-			for (let i = 0; i < intersects.length; i++) {
-				if (intersects[i].object.type === TYPE_PLATFORM) {
-					target = intersects[i].object;
-					break;
-				}
-			}
-			
-			if (target !== null && 
-				MOUSE_POINTED !== target &&
-				target.position.z === Math.floor(data.floorplan.length / 2)
-			) {
-				MOUSE_POINTED = target;
-				if (MOUSE_POINTED !== blockOnCursor) {
-					if (blockOnCursor !== undefined) blockOnCursor.material.color.set(`rgb(${data.settings.cellColor})`);
-					blockOnCursor = MOUSE_POINTED;
-					blockOnCursor.material.color.set(0xFFFFFF);
-				}	
-			}
-		} else {
-			MOUSE_POINTED = undefined;
+	// a new selection replaces the route still being searched for
+	if (pathRequest !== undefined) {
+		pathRequest.abort();
+	}
+	const request = new AbortController();
+	pathRequest = request;
+	try {
+		path = await findPath(cell, request.signal);
+	} catch (error) {
+		if (error.name === 'AbortError') {
+			return;
 		}
-
-		if (MOUSE_POINTED) {
-			MOUSE_POINTED.material.color.set(0xFFFFFF);
-			isMoving = true;
-			path = await findPath(MOUSE_POINTED.position);
+		throw error;
+	} finally {
+		if (pathRequest === request) {
+			pathRequest = undefined;
 		}
 	}
+	const end = path.length > 0 ? path[path.length - 1] : characterCell;
+	if (!isSameCell(end, cell)) {
+		// out of reach: walk as close as possible, or shake the head on the spot
+		showUnreachable(MOUSE_POINTED, path.length === 0);
+		MOUSE_POINTED = path.length > 0 ? findCellMesh(end) : undefined;
+		blockOnCursor = MOUSE_POINTED;
+	}
+	if (MOUSE_POINTED !== undefined) {
+		MOUSE_POINTED.material.color.set(0xFFFFFF);
+		isMoving = true;
+	}
+}
+
+var findCellMesh = (cell) => {
+	return getStageMeshes().find((object) =>
+		object.isMesh && object.userData.cell && isSameCell(object.userData.cell, cell)
+	);
+}
+
+// ========== UNREACHABLE ==========
+// the clicked block blinks red, and the character shakes its head when it cannot move at all
+var showUnreachable = (mesh, shake) => {
+	endUnreachable();
+	unreachable = { mesh, start: Date.now(), shake, angle: 0 };
 }
 
-var isMobile = () => {
-	const isMobile = ('ontouchstart' in document.documentElement || navigator.userAgent.match(/Mobi/) || navigator.userAgentData.mobile);
-	if (isMobile === true) {
-		return isMobile;
-	} else {
-		var check = false;
-		((a) => {
-			if (/(android|bb\d+|meego).+mobile|avantgo|bada\/|blackberry|blazer|compal|elaine|fennec|hiptop|iemobile|ip(hone|od)|iris|kindle|lge |maemo|midp|mmp|mobile.+firefox|netfront|opera m(ob|in)i|palm( os)?|phone|p(ixi|re)\/|plucker|pocket|psp|series(4|6)0|symbian|treo|up\.(browser|link)|vodafone|wap|windows ce|xda|xiino|android|ipad|playbook|silk/i.test(a)||/1207|6310|6590|3gso|4thp|50[1-6]i|770s|802s|a wa|abac|ac(er|oo|s\-)|ai(ko|rn)|al(av|ca|co)|amoi|an(ex|ny|yw)|aptu|ar(ch|go)|as(te|us)|attw|au(di|\-m|r |s )|avan|be(ck|ll|nq)|bi(lb|rd)|bl(ac|az)|br(e|v)w|bumb|bw\-(n|u)|c55\/|capi|ccwa|cdm\-|cell|chtm|cldc|cmd\-|co(mp|nd)|craw|da(it|ll|ng)|dbte|dc\-s|devi|dica|dmob|do(c|p)o|ds(12|\-d)|el(49|ai)|em(l2|ul)|er(ic|k0)|esl8|ez([4-7]0|os|wa|ze)|fetc|fly(\-|_)|g1 u|g560|gene|gf\-5|g\-mo|go(\.w|od)|gr(ad|un)|haie|hcit|hd\-(m|p|t)|hei\-|hi(pt|ta)|hp( i|ip)|hs\-c|ht(c(\-| |_|a|g|p|s|t)|tp)|hu(aw|tc)|i\-(20|go|ma)|i230|iac( |\-|\/)|ibro|idea|ig01|ikom|im1k|inno|ipaq|iris|ja(t|v)a|jbro|jemu|jigs|kddi|keji|kgt( |\/)|klon|kpt |kwc\-|kyo(c|k)|le(no|xi)|lg( g|\/(k|l|u)|50|54|\-[a-w])|libw|lynx|m1\-w|m3ga|m50\/|ma(te|ui|xo)|mc(01|21|ca)|m\-cr|me(rc|ri)|mi(o8|oa|ts)|mmef|mo(01|02|bi|de|do|t(\-| |o|v)|zz)|mt(50|p1|v )|mwbp|mywa|n10[0-2]|n20[2-3]|n30(0|2)|n50(0|2|5)|n7(0(0|1)|10)|ne((c|m)\-|on|tf|wf|wg|wt)|nok(6|i)|nzph|o2im|op(ti|wv)|oran|owg1|p800|pan(a|d|t)|pdxg|pg(13|\-([1-8]|c))|phil|pire|pl(ay|uc)|pn\-2|po(ck|rt|se)|prox|psio|pt\-g|qa\-a|qc(07|12|21|32|60|\-[2-7]|i\-)|qtek|r380|r600|raks|rim9|ro(ve|zo)|s55\/|sa(ge|ma|mm|ms|ny|va)|sc(01|h\-|oo|p\-)|sdk\/|se(c(\-|0|1)|47|mc|nd|ri)|sgh\-|shar|sie(\-|m)|sk\-0|sl(45|id)|sm(al|ar|b3|it|t5)|so(ft|ny)|sp(01|h\-|v\-|v )|sy(01|mb)|t2(18|50)|t6(00|10|18)|ta(gt|lk)|tcl\-|tdg\-|tel(i|m)|tim\-|t\-mo|to(pl|sh)|ts(70|m\-|m3|m5)|tx\-9|up(\.b|g1|si)|utst|v400|v750|veri|vi(rg|te)|vk(40|5[0-3]|\-v)|vm40|voda|vulc|vx(52|53|60|61|70|80|81|83|85|98)|w3c(\-| )|webc|whit|wi(g |nc|nw)|wmlb|wonu|x700|yas\-|your|zeto|zte\-/i.test(a.substr(0,4))) 
-				check = true;
-		}) (navigator.userAgent||navigator.vendor||window.opera);
-		return check;
+var updateUnreachable = () => {
+	if (unreachable === undefined) {
+		return;
+	}
+	const phase = (Date.now() - unreachable.start) / UNREACHABLE_DURATION;
+	if (phase >= 1) {
+		endUnreachable();
+		return;
+	}
+	unreachable.mesh.material.color.set(Math.floor(phase * 6) % 2 === 0 ? UNREACHABLE_COLOR : `rgb(${settings.cellColor})`);
+	if (isMoving) {
+		// turnCharacter() brings the character round to its heading, there is nothing left to undo
+		unreachable.angle = 0;
+	} else if (unreachable.shake) {
+		const angle = Math.sin(phase * Math.PI * 4) * 0.4 * (1 - phase);
+		character.rotateOnWorldAxis(UP_AXIS, angle - unreachable.angle);
+		unreachable.angle = angle;
+	}
+}
+
+var endUnreachable = () => {
+	if (unreachable === undefined) {
+		return;
+	}
+	if (unreachable.mesh !== MOUSE_POINTED) {
+		unreachable.mesh.material.color.set(`rgb(${settings.cellColor})`);
 	}
+	character.rotateOnWorldAxis(UP_AXIS, -unreachable.angle);
+	unreachable = undefined;
 }
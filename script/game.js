@@ -4,9 +4,7 @@ let controls;
 let camera;
 let floorplan;
 let settings;
-let grid;
 let light;
-let monumentSquareSize;
 let monumentHeight;
 let ambient;
 let startingPosition;
@@ -14,7 +12,6 @@ let clock = new THREE.Clock();
 let progress = [];
 let pointLights = [];
 let pointLightsZ = [];
-let isBonus = false;
 
 const width = window.innerWidth;
 const height = window.innerHeight;
@@ -23,25 +20,11 @@ const fieldOfView = 25;
 const nearView = 1;
 const farView = 10000;
 const assetPath = '/objects/cell';
-const blockSize = 20;
 
 const TYPE_PLATFORM = 'platform';
-const CELL_BLANK = 0;
-const CELL_BLOCK = 1;
-const CELL_TAIL = 2;
-const CELL_STAIRS = 3;
-const CELL_LIGHT = 4;
-const CELL_PILLAR = 5;
 
+// renderer, camera and controls live for the whole session, only the stage is rebuilt per level
 const initGame = async () => {
-	// grid setup
-	grid = floorplan[0][0].length;
-	monumentSquareSize = blockSize * grid;
-	monumentHeight = blockSize * floorplan.length;
-
-	// env
-	scene = new THREE.Scene();
-
 	renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
 	renderer.setPixelRatio(window.devicePixelRatio);
 	renderer.setSize(width, height);
@@ -49,20 +32,11 @@ const initGame = async () => {
 	renderer.shadowMap.enabled = true;
 	renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
-	// scene.add(new THREE.AxesHelper(1000));
-
 	// camera
 	camera = new THREE.PerspectiveCamera(fieldOfView, aspectRatio, nearView, farView)
 	camera.position.set(700, -700, 700);
 	camera.up = new THREE.Vector3(0, 0, 1) 
 
-	// light
-	light = new THREE.PointLight(`rgb(${settings.globalLight})`, 5, 1100);
-	light.position.set(600, -200, 250 + monumentHeight);
-	light.castShadow = true;
-	ambient = new THREE.AmbientLight(`rgb(${settings.ambientLight})`); 
-	scene.add(light, ambient);
-
 	// orbit control
 	controls = new THREE.OrbitControls(camera, renderer.domElement);
 	controls.minPolarAngle = Math.PI/2 - 0.5;
@@ -78,107 +52,179 @@ const initGame = async () => {
 
 	document.body.appendChild(renderer.domElement);
 
-	floorplanRenderer();
+	buildStage();
 	resizeListener();
-	mouseListener();
+	inputListener();
+	keyboardListener();
+	viewListener();
+	rotatorListener();
+	waypointListener();
+	startPathfinder();
+}
+
+// builds the scene of the current level
+const buildStage = () => {
+	// grid setup
+	monumentHeight = blockSize * floorplan.length;
+
+	// env
+	scene = new THREE.Scene();
+
+	// scene.add(new THREE.AxesHelper(1000));
+
+	// light
+	light = new THREE.PointLight(`rgb(${settings.globalLight})`, 5, 1100);
+	light.position.set(600, -200, 250 + monumentHeight);
+	light.castShadow = true;
+	ambient = new THREE.AmbientLight(`rgb(${settings.ambientLight})`); 
+	scene.add(light, ambient);
+
+	buildRotators();
+	buildMovers();
+	buildGates();
+	buildFragilePlatforms();
+	floorplanRenderer();
 }
 
+// frees everything the previous level uploaded to the GPU
+const disposeStage = () => {
+	// hidden lights are not part of the scene until revealed
+	[scene, ...progress].forEach((root) => {
+		root.traverse((object) => {
+			if (object.geometry) {
+				object.geometry.dispose();
+			}
+			if (object.material) {
+				const materials = Array.isArray(object.material) ? object.material : [object.material];
+				materials.forEach((material) => {
+					if (material.map) material.map.dispose();
+					material.dispose();
+				});
+			}
+		});
+	});
+	renderer.renderLists.dispose();
+
+	progress = [];
+	pointLights = [];
+	pointLightsZ = [];
+	character = undefined;
+	portalGlows = [];
+	resetFocus();
+	resetHover();
+	resetWaypoints();
+	characterAnimator = undefined;
+	motherAnimator = undefined;
+}
+
+// every mesh sits on the centre of its cell, measured from the same origin the character walks on
 const floorplanRenderer = () => {
-	let platform = Math.floor(data.floorplan.length / 2);
-	let zPos = -monumentSquareSize - settings.offsetY
-	let yPos = 0;
-	let xPos = 0;
-	for (let z = 0; z < floorplan.length; z++) {
-		let reversedZ = floorplan.length - (z + 1);
-		zPos += blockSize;
-		xPos = monumentSquareSize/2;
-		for (let x = 0; x < floorplan[reversedZ].length; x++) {
-			let reversedX = floorplan[reversedZ].length - (x + 1);
-			xPos -= blockSize;
-			yPos = monumentSquareSize/2;
-			for (let y = 0; y < floorplan[reversedZ][reversedX].length; y++) {
-				let reversedY = floorplan[reversedZ][reversedX].length - (y + 1);
-				let cell = floorplan[reversedZ][reversedX][reversedY];
-				let upperCell = reversedZ-1 >= 0 && reversedZ-1 <= floorplan.length ? floorplan[reversedZ-1][reversedX][reversedY] : 0;
-				let isPlatform =
-					(cell === CELL_BLOCK) &&
-					(upperCell === CELL_BLANK || upperCell === CELL_PILLAR || upperCell === CELL_TAIL)
-					? true : false;
-				
-				let shape = null;
-				yPos -= blockSize;
-				switch (cell) {
-					case CELL_BLOCK:
-						if ((reversedZ >= platform - 3 && reversedZ <= platform + 3) ||
-							isBonus === true) {
-							shape = new Cube(
-								xPos, yPos, zPos,
-								`rgb(${settings.cellColor})`,
-								blockSize,
-								isPlatform
-							);
-						} else {
-							shape = new Cube(
-								xPos, yPos, zPos,
-								`rgb(${settings.cellColor})`,
-								blockSize,
-								0,
-								new THREE.Vector3(Math.random(), Math.random(), Math.random())
-							);
-						}
-						break;
-					case CELL_TAIL:
-						shape = new Shape(
-							xPos, yPos, zPos,
-							`rgb(${settings.tail})`,
-							`${assetPath}/tail.json`,
-							1
-						);
-						break;
-					case CELL_STAIRS:
-						shape = new Shape(
-							xPos, yPos, zPos,
-							`rgb(${settings.cellColor})`,
-							`${assetPath}/stairs.json`,
-							1,
-							7.855
-						);
-						break;
-					case CELL_LIGHT:
-						if (reversedZ >= platform - 5 && reversedZ <= platform) {
-							shape = new Light(
-								xPos, yPos, zPos,
-								`rgb(${settings.pointLight})`,
-								settings.pointLightScale,
-								0
-							);
-						} else {
-							shape = new Light(
-								xPos, yPos, zPos,
-								`rgb(${settings.pointLight})`,
-								settings.pointLightScale,
-								1
-							);
-						}
-						break;
-					case CELL_PILLAR:
-						shape = new Shape(
-							xPos, yPos, zPos,
-							`rgb(${settings.cellColor})`,
-							`${assetPath}/pillar.json`, 
-						);
-						break;
+	for (let z = floorplan.length - 1; z >= 0; z--) {
+		for (let x = floorplan[z].length - 1; x >= 0; x--) {
+			for (let y = floorplan[z][x].length - 1; y >= 0; y--) {
+				let cell = { z, x, y };
+				// gates and light-bound platforms render themselves whether they start solid or not
+				if (findGate(cell) !== undefined || findTimedPlatform(cell) !== undefined) {
+					continue;
 				}
+
+				// each cell type knows how to draw itself, see registerCellType() in script/grid.js
+				let shape = getCellType(floorplan[z][x][y]).render(
+					getBlockCenter(cell),
+					cell,
+					isPlatformCell(floorplan, z, x, y)
+				);
 				if (shape !== null) {
 					shape.render();
 				}
 			}
 		}
 	}
+
+	// hidden lights are revealed in the order the level declares them
+	progress.sort((a, b) => hiddenLightIndex(a.userData.cell) - hiddenLightIndex(b.userData.cell));
+}
+
+// blocks far from the walking layer are scattered for decoration
+const isScatteredLayer = (z) => {
+	return level.stableLayers !== null &&
+		(z < level.start.z - level.stableLayers || z > level.start.z + level.stableLayers);
+}
+
+const hiddenLightIndex = (cell) => {
+	return level.lights.hidden.findIndex((each) =>
+		each.z === cell.z && each.x === cell.x && each.y === cell.y
+	);
+}
+
+const isHiddenLight = (z, x, y) => {
+	return hiddenLightIndex({ z, x, y }) !== -1;
+}
+
+// world position of the centre of a grid cell
+const getBlockCenter = (cell) => {
+	const position = getActualPosition(cell);
+	position.z -= blockSize / 2;
+	return position;
+}
+
+// cells of rotators, movers and gates render into their group, everything else straight into the stage
+const getCellParent = (cell) => {
+	const owner = cell ? (findRotator(cell) || findMover(cell) || findGate(cell)) : undefined;
+	return owner === undefined ? scene : owner.group;
+}
+
+// the group a rotator, mover or gate renders its cells into, centred on `origin`;
+// created by buildStage() before floorplanRenderer() so getCellParent() can find it
+const addCellGroup = (origin = new THREE.Vector3()) => {
+	const group = new THREE.Group();
+	group.position.copy(origin);
+	group.userData.origin = origin.clone();
+	scene.add(group);
+	return group;
+}
+
+// once a group has carried `cells` to `movedCells`, its meshes point at the cells they now occupy
+const moveGroupCells = (group, cells, movedCells) => {
+	group.traverse((object) => {
+		const i = cells.findIndex((cell) => isSameCell(cell, object.userData.cell));
+		if (i !== -1) {
+			object.userData.cell = movedCells[i];
+		}
+	});
+}
+
+// meshes are laid out in stage coordinates, inside a group they are relative to its origin
+const addToParent = (mesh, parent) => {
+	if (parent.userData.origin) {
+		mesh.position.sub(parent.userData.origin);
+	}
+	parent.add(mesh);
+}
+
+// what clicks can hit, the groups of rotators, movers and solid gates included;
+// blocks that have fallen or faded away are hidden and left out
+const getStageMeshes = () => {
+	const groups = [...rotators, ...movers, ...gates].map((each) => each.group).filter((group) => group.visible);
+	return [...scene.children, ...groups.flatMap((group) => group.children)].filter((object) => object.visible);
+}
+
+// a block may have been covered or uncovered since it was rendered
+const refreshPlatforms = () => {
+	scene.traverse((object) => {
+		const cell = object.userData.cell;
+		if (!object.isMesh || cell === undefined || cell === null) {
+			return;
+		}
+		if (!getCellType(floorplan[cell.z][cell.x][cell.y]).walkable) {
+			return;
+		}
+		object.type = isPlatformCell(floorplan, cell.z, cell.x, cell.y) ? TYPE_PLATFORM : 'Mesh';
+	});
 }
 
 class Cube {
-	constructor(x, y, z, color, size, isPlatform = false, rotate = 0) {
+	constructor(x, y, z, color, size, isPlatform = false, rotate = 0, cell = null) {
 		this.x = x;
 		this.y = y;
 		this.z = z;
@@ -186,6 +232,7 @@ class Cube {
 		this.size = size;
 		this.rotate = rotate ? rotate : undefined;
 		this.isPlatform = isPlatform;
+		this.cell = cell;
 	}
 
 	render() {
@@ -198,6 +245,7 @@ class Cube {
 		if (this.isPlatform) {
 			mesh.type = TYPE_PLATFORM;
 		}
+		mesh.userData.cell = this.cell;
 
 		mesh.position.x = this.x;
 		mesh.position.y = this.y;
@@ -209,12 +257,130 @@ class Cube {
 			mesh.rotation.z = this.rotate.z;
 		}
 		
-		scene.add(mesh);
+		addToParent(mesh, getCellParent(this.cell));
+		this.mesh = mesh;
+		return mesh;
+	}
+
+	// visual states of crumbling and light-bound platforms, see script/crumble.js
+	setCracked(cracked) {
+		this.mesh.material.map = cracked ? getCrackTexture() : null;
+		this.mesh.material.needsUpdate = true;
+	}
+
+	setOpacity(opacity) {
+		this.mesh.material.transparent = opacity < 1;
+		this.mesh.material.opacity = opacity;
+		this.mesh.visible = opacity > 0;
+	}
+}
+
+// dark cracks on white, multiplied with the colour of a cracked Cube
+let crackTexture;
+const getCrackTexture = () => {
+	if (crackTexture !== undefined) {
+		return crackTexture;
+	}
+	const canvas = document.createElement('canvas');
+	canvas.width = 64;
+	canvas.height = 64;
+	const context = canvas.getContext('2d');
+	context.fillStyle = '#ffffff';
+	context.fillRect(0, 0, canvas.width, canvas.height);
+	context.strokeStyle = '#2a2640';
+	context.lineWidth = 2;
+	// jagged lines running from the middle out to the edges
+	for (let i = 0; i < 5; i++) {
+		const angle = i * Math.PI * 2 / 5 + Math.random() * 0.6;
+		let x = canvas.width / 2;
+		let y = canvas.height / 2;
+		context.beginPath();
+		context.moveTo(x, y);
+		for (let step = 0; step < 4; step++) {
+			const bend = angle + (Math.random() - 0.5);
+			x += Math.cos(bend) * 9;
+			y += Math.sin(bend) * 9;
+			context.lineTo(x, y);
+		}
+		context.stroke();
+	}
+	crackTexture = new THREE.CanvasTexture(canvas);
+	return crackTexture;
+}
+
+// a block with a pressure plate, or a lever when `isSwitch`, on top
+class SwitchBlock extends Cube {
+	constructor(x, y, z, color, size, isPlatform, cell, isSwitch) {
+		super(x, y, z, color, size, isPlatform, 0, cell);
+		this.isSwitch = isSwitch;
+	}
+
+	render() {
+		let mesh = super.render();
+		let top;
+		if (this.isSwitch) {
+			top = new THREE.Mesh(
+				new THREE.CylinderGeometry(this.size / 12, this.size / 12, this.size / 2, 12),
+				new THREE.MeshLambertMaterial({ color: `rgb(${settings.pointLight})` })
+			);
+			top.position.z = this.size / 2 + this.size / 4;
+			top.rotation.x = Math.PI/2;
+		} else {
+			top = new THREE.Mesh(
+				new THREE.BoxGeometry(this.size * 0.7, this.size * 0.7, 2),
+				new THREE.MeshLambertMaterial({ color: `rgb(${settings.tail})` })
+			);
+			top.position.z = this.size / 2 + 1;
+		}
+		// the character stands on the block, clicks go through to it
+		top.raycast = () => {};
+		top.userData.switchTop = true;
+		mesh.add(top);
+		return mesh;
+	}
+}
+
+// a block with a glowing frame on top and a column of light rising from it, one end of a portal
+class PortalBlock extends Cube {
+	constructor(x, y, z, color, size, isPlatform, cell) {
+		super(x, y, z, color, size, isPlatform, 0, cell);
+	}
+
+	render() {
+		let mesh = super.render();
+		const glowMaterial = new THREE.MeshBasicMaterial({ color: `rgb(${settings.pointLight})` });
+		const bar = this.size * 0.1;
+		// four bars along the edges of the top face
+		[[0, 1, 0], [0, -1, 0], [1, 0, Math.PI/2], [-1, 0, Math.PI/2]].forEach(([x, y, angle]) => {
+			let frame = new THREE.Mesh(new THREE.BoxGeometry(this.size, bar, bar), glowMaterial);
+			frame.position.set(x * (this.size - bar) / 2, y * (this.size - bar) / 2, this.size / 2 + bar / 2);
+			frame.rotation.z = angle;
+			frame.raycast = () => {};
+			mesh.add(frame);
+		});
+		let column = new THREE.Mesh(
+			new THREE.CylinderGeometry(this.size * 0.35, this.size * 0.45, this.size * 1.5, 24, 1, true),
+			new THREE.MeshBasicMaterial({
+				color: `rgb(${settings.pointLight})`,
+				transparent: true,
+				opacity: 0.25,
+				blending: THREE.AdditiveBlending,
+				side: THREE.DoubleSide,
+				depthWrite: false
+			})
+		);
+		column.rotation.x = Math.PI/2;
+		column.position.z = this.size / 2 + this.size * 0.75;
+		// the character walks into the light, clicks go through to the block
+		column.raycast = () => {};
+		mesh.add(column);
+		portalGlows.push(column);
+		return mesh;
 	}
 }
 
 class Shape {
-	constructor(x, y, z, color, source, scale = 1, rotate = 0, isPlatform = false) {
+	constructor(x, y, z, color, source, scale = 1, rotate = 0, isPlatform = false, cell = null) {
 		this.x = x;
 		this.y = y;
 		this.z = z;
@@ -223,9 +389,12 @@ class Shape {
 		this.scale = scale;
 		this.rotate = rotate;
 		this.isPlatform = isPlatform;
+		this.cell = cell;
 	}
 
 	render() {
+		// the model loads asynchronously, keep it out of any stage built in the meantime
+		const stage = getCellParent(this.cell);
 		let loader = new THREE.LegacyJSONLoader();
 		loader.load(this.source, geometry => {
 			let mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({
@@ -234,6 +403,7 @@ class Shape {
 			if (this.isPlatform) {
 				mesh.type = TYPE_PLATFORM;
 			}
+			mesh.userData.cell = this.cell;
 			mesh.position.x = this.x;
 			mesh.position.y = this.y;
 			mesh.position.z = this.z;
@@ -242,19 +412,20 @@ class Shape {
 			mesh.rotation.y = this.rotate;
 			mesh.scale.set(this.scale, this.scale, this.scale);
 	
-			scene.add(mesh);
+			addToParent(mesh, stage);
 		});
 	}
 }
 
 class Light {
-	constructor(x, y, z, color, size = 0, show = 1) {
+	constructor(x, y, z, color, size = 0, show = 1, cell = null) {
 		this.x = x;
 		this.y = y;
 		this.z = z - 7;
 		this.color = color;
 		this.size = size;
 		this.show = show;
+		this.cell = cell;
 	}
 
 	render() {
@@ -272,6 +443,7 @@ class Light {
 		let time = Date.now() * 0.0005;
 		pointLight.position.set(this.x, this.y, this.z + Math.sin(time*3)*10);
 		pointLight.castShadow = true;
+		pointLight.userData.cell = this.cell;
 
 		pointLights.push(pointLight);
 		if (this.show) {
@@ -281,610 +453,3 @@ class Light {
 		}
 	}	
 }
-
-let data = {
-	"settings": {
-		"frameRate": 30,
-		"offsetY": -30,
-		"background": "0, 0, 16",
-		"globalLight": "255, 255, 255",
-		"ambientLight": "0, 0, 32",
-		"cellColor": "133, 130, 187",
-		"tail": "167, 97, 158",
-		"pointLight": "255, 246, 178",
-		// "pointLight": "255, 173, 236",
-		"pointLightScale": 3.5,
-	},
-	"floorplan": [
-		[
-			[1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0],
-			[1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 5, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 4, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 4, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 4, 0, 0, 3],
-			[0, 0, 4, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 5, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 1],
-			[0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 3],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 5, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0],
-			[0, 0, 0, 1, 1, 1, 1, 0, 0, 1, 0, 0],
-			[0, 0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0],
-			[0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0],
-			[1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
-			[0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 1, 0, 1, 0, 0, 1],
-			[0, 0, 1, 0, 0, 0, 1, 0, 1, 0, 0, 1],
-			[0, 0, 1, 0, 0, 0, 1, 1, 1, 0, 0, 0],
-			[1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 5, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 5],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 5, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 5],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 5, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 5],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 5, 0, 0, 0, 1, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 5, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 5, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[3, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 5, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		]
-	],
-	"bonusStage":  [
-		[
-			[1, 2, 3, 4, 5, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 4, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 3, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 3, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 0, 0, 4, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 0, 0, 2, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 0, 0, 1, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[4, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 0, 0, 5, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 0, 0, 5, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 0, 0, 1, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[5, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 1, 1, 1, 0, 0, 0, 5, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[5, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0],
-			[0, 1, 1, 0, 0, 0, 0, 3, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0],
-			[5, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0],
-			[1, 1, 1, 0, 0, 0, 0, 1, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 1, 0, 1, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 1, 0, 1, 0, 0],
-			[5, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 4]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0],
-			[1, 1, 1, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0],
-			[1, 1, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0],
-			[1, 1, 1, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 0, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0],
-			[1, 1, 1, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 0, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 5]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0],
-			[1, 1, 1, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 0, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 5]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0],
-			[1, 1, 1, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 0, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 5]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0],
-			[1, 1, 1, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 0, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 5]
-		],
-		[
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0],
-			[0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0],
-			[1, 1, 1, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 1, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 0, 0, 1, 0, 0],
-			[1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0],
-			[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 5]
-		]
-	]
-}
\ No newline at end of file
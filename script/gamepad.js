@@ -0,0 +1,173 @@
+// Gamepad controls, for playing on a TV. The Gamepad API sends no input events, so the first
+// connected pad is polled every frame; buttons follow the "standard" mapping:
+//   left stick / d-pad  step one cell at a time, relative to the camera (see script/keyboard.js)
+//   right stick         move the focus ring over the platforms on screen
+//   A                   walk to the platform in the focus ring, as a click on it would
+//   B                   go through the portal underfoot
+//   LB / RB             turn the camera one view round
+//   LT / RT             zoom out and in
+
+const GAMEPAD_BUTTON_A = 0;
+const GAMEPAD_BUTTON_B = 1;
+const GAMEPAD_BUTTON_LB = 4;
+const GAMEPAD_BUTTON_RB = 5;
+const GAMEPAD_BUTTON_LT = 6;
+const GAMEPAD_BUTTON_RT = 7;
+// d-pad buttons by screen direction, in quarter turns clockwise from "up"
+const GAMEPAD_DPAD = [12, 15, 13, 14];
+// how far a stick has to be pushed, and how far a trigger pulled, before it counts
+const GAMEPAD_DEADZONE = 0.5;
+const GAMEPAD_TRIGGER_DEADZONE = 0.1;
+// how long a held right stick waits before the focus ring moves on again, in ms
+const GAMEPAD_REPEAT = 250;
+// how many times further away a fully pulled trigger takes the camera every second
+const GAMEPAD_ZOOM_RATE = 2;
+const FOCUS_RING_COLOR = 0xfff2b0;
+
+// buttons pressed on the previous poll, so a press is only acted on once
+let gamepadButtons = [];
+// screen direction the left stick or d-pad is held in, undefined when centred
+let gamepadStep;
+// platform mesh in the focus ring, the ring itself, and when the right stick last moved it
+let focusedPlatform;
+let focusRing;
+let focusMovedAt;
+
+// ========== GAMEPAD ==========
+var getGamepad = () => {
+	const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+	return pads.find((pad) => pad !== null && pad.connected);
+}
+
+// called every frame, until the ending shows
+var updateGamepad = () => {
+	const pad = getGamepad();
+	if (pad === undefined || hasEnded) {
+		return;
+	}
+	const pressed = pad.buttons.map((button) => button.pressed);
+	const justPressed = (index) => pressed[index] && !gamepadButtons[index];
+	gamepadButtons = pressed;
+
+	// walking, the d-pad wins over the stick
+	const dpad = GAMEPAD_DPAD.findIndex((index) => pressed[index]);
+	const step = dpad !== -1 ? dpad : getStickTurns(pad.axes[0], pad.axes[1]);
+	if (step !== gamepadStep) {
+		gamepadStep = step;
+		if (step !== undefined) {
+			controls.autoRotate = false;
+			startSteps();
+		}
+	}
+	if (step !== undefined) {
+		continueSteps(step);
+	}
+
+	// the focus ring moves at once when the stick is pushed, then every GAMEPAD_REPEAT ms
+	const aim = new THREE.Vector2(pad.axes[2] || 0, -(pad.axes[3] || 0));
+	if (aim.length() < GAMEPAD_DEADZONE) {
+		focusMovedAt = undefined;
+	} else if (focusMovedAt === undefined || Date.now() - focusMovedAt >= GAMEPAD_REPEAT) {
+		focusMovedAt = Date.now();
+		moveFocus(aim.normalize());
+	}
+
+	if (justPressed(GAMEPAD_BUTTON_A) && focusedPlatform !== undefined && focusedPlatform.type === TYPE_PLATFORM) {
+		selectCell(focusedPlatform.userData.cell);
+	}
+	if (justPressed(GAMEPAD_BUTTON_B)) {
+		takePortal();
+	}
+
+	if (!controls.enabled) {
+		return;
+	}
+	if (justPressed(GAMEPAD_BUTTON_LB)) {
+		turnCameraView(-1);
+	} else if (justPressed(GAMEPAD_BUTTON_RB)) {
+		turnCameraView(1);
+	}
+	const zoom = getTriggerValue(pad, GAMEPAD_BUTTON_LT) - getTriggerValue(pad, GAMEPAD_BUTTON_RT);
+	if (zoom !== 0) {
+		zoomCamera(Math.pow(GAMEPAD_ZOOM_RATE, zoom * frameDelta));
+	}
+}
+
+// quarter turns clockwise from "up" the stick is pushed towards, undefined inside the deadzone
+var getStickTurns = (x, y) => {
+	if (Math.hypot(x, y) < GAMEPAD_DEADZONE) {
+		return undefined;
+	}
+	// stick y grows downwards
+	return ((Math.round(Math.atan2(x, -y) / (Math.PI / 2)) % 4) + 4) % 4;
+}
+
+var getTriggerValue = (pad, index) => {
+	const button = pad.buttons[index];
+	return button !== undefined && button.value > GAMEPAD_TRIGGER_DEADZONE ? button.value : 0;
+}
+
+// ========== FOCUS RING ==========
+// moves the focus ring to the platform closest on screen in `direction` (screen space, +y up),
+// starting from the one the character stands on
+var moveFocus = (direction) => {
+	const platforms = getStageMeshes().filter((object) => object.type === TYPE_PLATFORM);
+	const from = platforms.includes(focusedPlatform)
+		? focusedPlatform
+		: platforms.find((mesh) => isSameCell(mesh.userData.cell, characterCell));
+	const origin = from === undefined ? new THREE.Vector2(0, 0) : getScreenPosition(from);
+
+	let best;
+	let bestScore = Infinity;
+	platforms.forEach((mesh) => {
+		if (mesh === from) {
+			return;
+		}
+		const offset = getScreenPosition(mesh).sub(origin);
+		const along = offset.dot(direction);
+		const across = Math.abs(offset.cross(direction));
+		// only platforms within 45° of the direction, the ones off to the side count for more
+		if (along <= 0 || across > along) {
+			return;
+		}
+		const score = along + across * 2;
+		if (score < bestScore) {
+			best = mesh;
+			bestScore = score;
+		}
+	});
+	setFocus(best === undefined ? from : best);
+}
+
+// normalised device coordinates, with x stretched by the aspect ratio so distances are even
+var getScreenPosition = (mesh) => {
+	const position = mesh.getWorldPosition(new THREE.Vector3()).project(camera);
+	return new THREE.Vector2(position.x * camera.aspect, position.y);
+}
+
+var setFocus = (mesh) => {
+	if (focusRing === undefined) {
+		// a square ring, just inside the top face of a block
+		focusRing = new THREE.Mesh(
+			new THREE.RingGeometry(blockSize * 0.55, blockSize * 0.68, 4, 1, Math.PI / 4),
+			new THREE.MeshBasicMaterial({ color: FOCUS_RING_COLOR, side: THREE.DoubleSide })
+		);
+		focusRing.position.z = blockSize / 2 + 0.1;
+		focusRing.raycast = () => {};
+	}
+	focusedPlatform = mesh;
+	if (mesh === undefined) {
+		if (focusRing.parent !== null) {
+			focusRing.parent.remove(focusRing);
+		}
+		return;
+	}
+	mesh.add(focusRing);
+}
+
+// called by disposeStage(), the ring went with the old stage
+var resetFocus = () => {
+	focusedPlatform = undefined;
+	focusRing = undefined;
+	focusMovedAt = undefined;
+}
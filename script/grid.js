@@ -0,0 +1,233 @@
+// =====Cell codes=====
+const CELL_BLANK = 0;
+const CELL_BLOCK = 1;
+const CELL_TAIL = 2;
+const CELL_STAIRS = 3;
+const CELL_LIGHT = 4;
+const CELL_PILLAR = 5;
+// blocks carrying a pressure plate or a switch, wired to gates in the level file
+const CELL_PLATE = 6;
+const CELL_SWITCH = 7;
+// a block that cracks when stepped on and falls a few seconds later
+const CELL_CRUMBLE = 8;
+// one end of a portal, linked to the other end in the level file
+const CELL_PORTAL = 9;
+// every registered code, in registration order
+const CELL_CODES = [];
+// edge of a cell in world units
+const blockSize = 20;
+
+// =====Cell types=====
+// Every code a level grid may use is registered with how it looks and behaves:
+//   name           shown in validation messages
+//   walkable       the top of the cell can be stood on
+//   passable       the cell does not cover the one below, so that one stays walkable
+//   blocksGravity  a falling character lands on top of it (default true)
+//   cost           what walking onto the cell costs the pathfinder (default 1)
+//   render(position, cell, isPlatform)  returns what floorplanRenderer() calls render() on:
+//                  a Cube, Shape, Light or any class of the same shape, or null for nothing
+//   onStep(cell) / onLeave(cell)  run when the character steps onto / off a cell of this type
+// Renderers and step hooks only run in the browser, Node reads the rest.
+const CELL_TYPES = new Map();
+
+var registerCellType = (code, type) => {
+	if (CELL_TYPES.has(code)) {
+		throw new Error(`cell code ${code} is already registered as "${CELL_TYPES.get(code).name}"`);
+	}
+	CELL_TYPES.set(code, { walkable: false, passable: false, blocksGravity: true, cost: 1, render: () => null, ...type });
+	CELL_CODES.push(code);
+}
+
+var getCellType = (code) => CELL_TYPES.get(code);
+
+registerCellType(CELL_BLANK, {
+	name: 'blank',
+	passable: true,
+	blocksGravity: false
+});
+registerCellType(CELL_BLOCK, {
+	name: 'block',
+	walkable: true,
+	render: (position, cell, isPlatform) => isScatteredLayer(cell.z)
+		? new Cube(
+			position.x, position.y, position.z,
+			`rgb(${settings.cellColor})`,
+			blockSize,
+			0,
+			new THREE.Vector3(Math.random(), Math.random(), Math.random())
+		)
+		: new Cube(position.x, position.y, position.z, `rgb(${settings.cellColor})`, blockSize, isPlatform, 0, cell)
+});
+registerCellType(CELL_TAIL, {
+	// the sculpture fills its cell, the block under it cannot be stood on
+	name: 'tail',
+	render: (position, cell) => new Shape(
+		position.x, position.y, position.z,
+		`rgb(${settings.tail})`,
+		`${assetPath}/tail.json`,
+		1,
+		0,
+		false,
+		cell
+	)
+});
+registerCellType(CELL_STAIRS, {
+	name: 'stairs',
+	// climbing is slower than walking, routes take stairs only when it pays off
+	cost: 2,
+	render: (position, cell) => new Shape(
+		position.x, position.y, position.z,
+		`rgb(${settings.cellColor})`,
+		`${assetPath}/stairs.json`,
+		1,
+		7.855,
+		false,
+		cell
+	)
+});
+registerCellType(CELL_LIGHT, {
+	name: 'light',
+	blocksGravity: false,
+	render: (position, cell) => new Light(
+		position.x, position.y, position.z,
+		`rgb(${settings.pointLight})`,
+		settings.pointLightScale,
+		isHiddenLight(cell.z, cell.x, cell.y) ? 0 : 1,
+		cell
+	)
+});
+registerCellType(CELL_PILLAR, {
+	name: 'pillar',
+	passable: true,
+	render: (position, cell) => new Shape(
+		position.x, position.y, position.z,
+		`rgb(${settings.cellColor})`,
+		`${assetPath}/pillar.json`,
+		1,
+		0,
+		false,
+		cell
+	)
+});
+registerCellType(CELL_PLATE, {
+	name: 'pressure plate',
+	walkable: true,
+	render: (position, cell, isPlatform) => new SwitchBlock(
+		position.x, position.y, position.z,
+		`rgb(${settings.cellColor})`,
+		blockSize,
+		isPlatform,
+		cell,
+		false
+	),
+	onStep: (cell) => pressSwitch(cell),
+	onLeave: (cell) => releaseSwitch(cell)
+});
+registerCellType(CELL_SWITCH, {
+	name: 'switch',
+	walkable: true,
+	render: (position, cell, isPlatform) => new SwitchBlock(
+		position.x, position.y, position.z,
+		`rgb(${settings.cellColor})`,
+		blockSize,
+		isPlatform,
+		cell,
+		true
+	),
+	onStep: (cell) => pressSwitch(cell)
+});
+registerCellType(CELL_CRUMBLE, {
+	name: 'crumbling block',
+	walkable: true,
+	render: (position, cell, isPlatform) => trackCrumble(cell, new Cube(
+		position.x, position.y, position.z,
+		`rgb(${settings.cellColor})`,
+		blockSize,
+		isPlatform,
+		0,
+		cell
+	)),
+	onStep: (cell) => crackPlatform(cell)
+});
+registerCellType(CELL_PORTAL, {
+	name: 'portal',
+	walkable: true,
+	render: (position, cell, isPlatform) => new PortalBlock(
+		position.x, position.y, position.z,
+		`rgb(${settings.cellColor})`,
+		blockSize,
+		isPlatform,
+		cell
+	)
+});
+
+// a cell can be stood on when it is walkable and the one right above it is passable (z = 0 is the top layer)
+var isPlatformCell = (cells, z, x, y) => {
+	if (cells[z] === undefined || cells[z][x] === undefined) {
+		return false;
+	}
+	const type = getCellType(cells[z][x][y]);
+	if (type === undefined || !type.walkable) {
+		return false;
+	}
+	const upperType = z - 1 >= 0 ? getCellType(cells[z - 1][x][y]) : getCellType(CELL_BLANK);
+	return upperType !== undefined && upperType.passable;
+}
+
+// topmost layer at or below `fromZ` whose cell in column (x, y) stops a fall, -1 if there is none
+var findSupportLayer = (cells, fromZ, x, y) => {
+	if (cells[0] === undefined || cells[0][x] === undefined || cells[0][x][y] === undefined) {
+		return -1;
+	}
+	for (let z = Math.max(fromZ, 0); z < cells.length; z++) {
+		if (getCellType(cells[z][x][y]).blocksGravity) {
+			return z;
+		}
+	}
+	return -1;
+}
+
+// where a cell ends up after quarter turns around the pivot cell, right-handed about
+// the world axis ('x', 'y' or 'z'); grid z grows downwards so world height is -z
+var rotateCell = (cell, pivot, axis, turns) => {
+	let x = cell.x - pivot.x;
+	let y = cell.y - pivot.y;
+	let h = pivot.z - cell.z;
+	for (let i = 0; i < ((turns % 4) + 4) % 4; i++) {
+		if (axis === 'z') {
+			[x, y] = [-y, x];
+		} else if (axis === 'x') {
+			[y, h] = [-h, y];
+		} else {
+			[x, h] = [h, -x];
+		}
+	}
+	return { z: pivot.z - h, x: pivot.x + x, y: pivot.y + y };
+}
+
+// ========== LAYOUT ==========
+// where the top of cell (0, 0, 0) sits in the world: the grid is centred on the origin the camera
+// orbits, and the meshes and the character are both placed from here (see getActualPosition())
+var getGridOrigin = (cells) => {
+	return {
+		x: -Math.floor(cells[0].length / 2) * blockSize,
+		y: -Math.floor(cells[0].length / 2) * blockSize,
+		z: Math.ceil(cells.length / 2) * blockSize
+	};
+}
+
+// the "settings.offsetY" at which the meshes of a grid line up with getGridOrigin(), levels
+// still carry the offset their blocks were first laid out with and must agree with the grid
+var getLayoutOffsetY = (cells) => {
+	return blockSize * (cells.length - cells[0].length - Math.ceil(cells.length / 2)) + blockSize / 2;
+}
+
+// Node: the scripts that also run there (navigation.js, levelValidator.js) copy these onto
+// `global`, so they see the shared cell codes the same way the browser scripts do
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		CELL_BLANK, CELL_BLOCK, CELL_TAIL, CELL_STAIRS, CELL_LIGHT, CELL_PILLAR, CELL_PLATE, CELL_SWITCH, CELL_CRUMBLE, CELL_PORTAL,
+		CELL_CODES, blockSize, registerCellType, getCellType, isPlatformCell, findSupportLayer, rotateCell,
+		getGridOrigin, getLayoutOffsetY
+	};
+}
@@ -0,0 +1,153 @@
+// Hover feedback for the mouse: the platform under the pointer lights up, in HOVER_COLOR when
+// the character can get there and in HOVER_BLOCKED_COLOR when it cannot, and the route
+// findPath() would take is drawn as a dotted line of light before the player clicks.
+// The route comes from the same pathfinder request a click makes (see requestRoute()).
+
+const HOVER_COLOR = 0xf4ecd8;
+const HOVER_BLOCKED_COLOR = 0x8c6a74;
+// distance between two dots of the preview, and how high above the floor they float, in world units
+const PREVIEW_SPACING = 5;
+const PREVIEW_HEIGHT = 2;
+const PREVIEW_DOT_SIZE = 3;
+// period of the preview's shimmer, in ms
+const PREVIEW_PULSE = 1200;
+
+// { mesh, key, graph, reachable, request } of the platform under the pointer,
+// `reachable` stays undefined until its route is known
+let hover;
+// THREE.Points drawing the previewed route
+let previewDots;
+
+// ========== HOVER ==========
+// called every frame after applyMovement()
+var updateHover = () => {
+	const mesh = isHovering && canSelectCell() ? findPointedPlatform() : undefined;
+	const start = path.length > 0 ? path[0] : characterCell;
+	if (hover !== undefined && hover.mesh !== mesh) {
+		endHover();
+	}
+	// a new starting point or a new graph need a new route too, the old one shows until it comes
+	const key = mesh === undefined ? undefined : edgeKey(start, mesh.userData.cell);
+	if (mesh !== undefined && (hover === undefined || key !== hover.key || navGraph !== hover.graph)) {
+		if (hover !== undefined) {
+			hover.request.abort();
+		}
+		const reachable = hover === undefined ? undefined : hover.reachable;
+		hover = { mesh, key, graph: navGraph, reachable, request: new AbortController() };
+		previewRoute(hover, start);
+	}
+	if (hover !== undefined) {
+		paintHover();
+	}
+	if (previewDots !== undefined) {
+		previewDots.material.opacity = 0.6 + 0.3 * Math.sin(Date.now() * 2 * Math.PI / PREVIEW_PULSE);
+	}
+}
+
+var previewRoute = async (target, start) => {
+	const dest = target.mesh.userData.cell;
+	let route;
+	try {
+		route = await requestRoute(start, dest, getLitCells(), target.request.signal);
+	} catch (error) {
+		if (error.name === 'AbortError') {
+			return;
+		}
+		throw error;
+	}
+	if (target !== hover) {
+		return;
+	}
+	const end = route.length > 0 ? route[route.length - 1] : start;
+	target.reachable = isSameCell(end, dest);
+	if (target.reachable) {
+		drawPreview([start, ...route]);
+	} else {
+		clearPreview();
+	}
+}
+
+// the selected and the blinking blocks keep their own colours
+var paintHover = () => {
+	const mesh = hover.mesh;
+	if (hover.reachable === undefined || (mesh === MOUSE_POINTED && isWalking())
+		|| (unreachable !== undefined && unreachable.mesh === mesh)) {
+		return;
+	}
+	mesh.material.color.set(hover.reachable ? HOVER_COLOR : HOVER_BLOCKED_COLOR);
+}
+
+var endHover = () => {
+	if (hover === undefined) {
+		return;
+	}
+	hover.request.abort();
+	const mesh = hover.mesh;
+	if (!(mesh === MOUSE_POINTED && isWalking()) && (unreachable === undefined || unreachable.mesh !== mesh)) {
+		mesh.material.color.set(`rgb(${settings.cellColor})`);
+	}
+	hover = undefined;
+	clearPreview();
+}
+
+// ========== PREVIEW ==========
+// dots every PREVIEW_SPACING along the route; across an illusion the line stops at the seam
+// and carries on from the far side, across a portal it carries on from the other end
+var drawPreview = (nodes) => {
+	clearPreview();
+	const points = [];
+	// the line starts afresh after every jump
+	let broken = true;
+	for (let i = 1; i < nodes.length; i++) {
+		const from = nodes[i - 1];
+		const to = nodes[i];
+		if (navGraph.portals.has(edgeKey(from, to))) {
+			broken = true;
+			continue;
+		}
+		const illusion = navGraph.illusions.get(edgeKey(from, to));
+		const a = getNodePosition(from);
+		const b = getNodePosition(illusion ? illusion.slot : to);
+		const steps = Math.max(Math.round(a.distanceTo(b) / PREVIEW_SPACING), 1);
+		for (let step = broken ? 0 : 1; step <= steps; step++) {
+			const point = a.clone().lerp(b, step / steps);
+			point.z += PREVIEW_HEIGHT;
+			points.push(point);
+		}
+		broken = illusion !== undefined;
+	}
+	if (points.length === 0) {
+		return;
+	}
+	previewDots = new THREE.Points(
+		new THREE.BufferGeometry().setFromPoints(points),
+		new THREE.PointsMaterial({
+			color: `rgb(${settings.pointLight})`,
+			size: PREVIEW_DOT_SIZE,
+			transparent: true,
+			blending: THREE.AdditiveBlending,
+			depthWrite: false
+		})
+	);
+	previewDots.raycast = () => {};
+	scene.add(previewDots);
+}
+
+var clearPreview = () => {
+	if (previewDots === undefined) {
+		return;
+	}
+	scene.remove(previewDots);
+	previewDots.geometry.dispose();
+	previewDots.material.dispose();
+	previewDots = undefined;
+}
+
+// called by disposeStage(), the hovered block and the preview went with the old stage
+var resetHover = () => {
+	if (hover !== undefined) {
+		hover.request.abort();
+	}
+	hover = undefined;
+	previewDots = undefined;
+}
@@ -0,0 +1,103 @@
+// Pointer input: mouse, pen and touch all arrive as pointer events on the canvas, so desktop
+// and mobile share one code path and no user agent is sniffed.
+//   a tap or a click (pressed and let go without moving) selects the platform under it,
+//   with Shift held it queues the platform as a waypoint instead (see script/waypoints.js)
+//   dragging orbits the camera, two fingers pinch to zoom and move together to orbit;
+//   both are left to OrbitControls, which keeps its own touch handling
+// A drag never counts as a tap, so letting go of the camera does not send the character walking.
+
+// how far a pointer may move, in pixels, and how long it may stay down, in ms, for a tap
+const TAP_DISTANCE = 10;
+const TAP_DURATION = 500;
+
+// pointers down on the canvas, by pointerId
+const activePointers = new Set();
+// { id, x, y, start } of the press that may still turn out to be a tap
+let tap;
+// the mouse is over the canvas, see script/hover.js
+let isHovering = false;
+
+// ========== POINTER ==========
+var inputListener = () => {
+	const canvas = renderer.domElement;
+	// the browser must not scroll or zoom the page under a gesture
+	canvas.style.touchAction = 'none';
+	controls.touches = { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_ROTATE };
+
+	canvas.addEventListener('pointerdown', onPointerDown, false);
+	canvas.addEventListener('pointerleave', () => {
+		isHovering = false;
+	}, false);
+	// a pointer may be let go of outside the canvas
+	window.addEventListener('pointermove', onPointerMove, false);
+	window.addEventListener('pointerup', onPointerUp, false);
+	window.addEventListener('pointercancel', onPointerCancel, false);
+}
+
+// a rotator handle grabbed in the capture phase never gets here, see script/rotator.js
+var onPointerDown = (event) => {
+	// a finger or a pen leaves nothing hovering once it lifts
+	if (event.pointerType !== 'mouse') {
+		isHovering = false;
+	}
+	if (event.pointerType === 'mouse' && event.button !== 0) {
+		return;
+	}
+	activePointers.add(event.pointerId);
+	// a second finger makes it a gesture
+	tap = activePointers.size === 1
+		? { id: event.pointerId, x: event.clientX, y: event.clientY, start: Date.now() }
+		: undefined;
+}
+
+var onPointerMove = (event) => {
+	if (event.pointerType === 'mouse') {
+		isHovering = event.target === renderer.domElement;
+		mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+		mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+	}
+	if (tap !== undefined && tap.id === event.pointerId
+		&& Math.hypot(event.clientX - tap.x, event.clientY - tap.y) > TAP_DISTANCE) {
+		tap = undefined;
+	}
+}
+
+var onPointerUp = (event) => {
+	activePointers.delete(event.pointerId);
+	if (tap === undefined || tap.id !== event.pointerId) {
+		return;
+	}
+	const isTap = Date.now() - tap.start <= TAP_DURATION;
+	tap = undefined;
+	if (isTap) {
+		selectAt(event.clientX, event.clientY, event.shiftKey);
+	}
+}
+
+var onPointerCancel = (event) => {
+	activePointers.delete(event.pointerId);
+	tap = undefined;
+}
+
+// selects the platform under a point of the window, or queues it when `append` is set
+var selectAt = (clientX, clientY, append = false) => {
+	const mesh = findPlatformAt(clientX, clientY);
+	if (mesh !== undefined) {
+		selectCell(mesh.userData.cell, append);
+	}
+}
+
+// platform mesh under a point of the window, if any
+var findPlatformAt = (clientX, clientY) => {
+	mouse.x = (clientX / window.innerWidth) * 2 - 1;
+	mouse.y = -(clientY / window.innerHeight) * 2 + 1;
+	return findPointedPlatform();
+}
+
+// platform mesh under `mouse`, where the pointer was last seen, see script/hover.js
+var findPointedPlatform = () => {
+	mousePointer.setFromCamera(mouse, camera);
+	const hit = mousePointer.intersectObjects(getStageMeshes())
+		.find((intersect) => intersect.object.type === TYPE_PLATFORM);
+	return hit === undefined ? undefined : hit.object;
+}
@@ -0,0 +1,146 @@
+// Keyboard controls, so the game can be played without a mouse:
+//   arrow keys / WASD  step one cell at a time, relative to the camera
+//   Space / Enter      go through the portal underfoot
+//   Q / E              turn the camera one view round
+//   + / -              zoom in and out
+// On the snapped views the camera looks along a diagonal of the grid, so every key walks
+// along a grid axis: "up" goes away from the camera and to the right of the screen.
+// Steps follow the edges of navGraph, the same graph findPath() searches.
+
+// screen direction of every movement key, in quarter turns clockwise from "up"
+const MOVEMENT_KEYS = new Map([
+	['ArrowUp', 0], ['KeyW', 0],
+	['ArrowRight', 1], ['KeyD', 1],
+	['ArrowDown', 2], ['KeyS', 2],
+	['ArrowLeft', 3], ['KeyA', 3]
+]);
+const PORTAL_KEYS = ['Space', 'Enter', 'NumpadEnter'];
+const ZOOM_KEYS = new Map([
+	['Equal', 1 / 1.15], ['NumpadAdd', 1 / 1.15],
+	['Minus', 1.15], ['NumpadSubtract', 1.15]
+]);
+const VIEW_KEYS = new Map([['KeyQ', -1], ['KeyE', 1]]);
+// keys pressed on these keep their own meaning, Enter on the ending's link follows it
+const INTERACTIVE_ELEMENTS = 'a, button, input, textarea, select';
+
+// movement keys held down, the last one pressed wins
+let heldKeys = [];
+
+// ========== KEYBOARD ==========
+var keyboardListener = () => {
+	// OrbitControls pans with the arrow keys when the canvas has focus
+	controls.enableKeys = false;
+
+	window.addEventListener('keydown', (event) => {
+		if (event.ctrlKey || event.metaKey || event.altKey || hasEnded) {
+			return;
+		}
+		if (event.target instanceof Element && event.target.closest(INTERACTIVE_ELEMENTS) !== null) {
+			return;
+		}
+		if (MOVEMENT_KEYS.has(event.code)) {
+			event.preventDefault();
+			heldKeys = [...heldKeys.filter((code) => code !== event.code), event.code];
+			controls.autoRotate = false;
+			if (!event.repeat) {
+				startSteps();
+			}
+		} else if (PORTAL_KEYS.includes(event.code)) {
+			event.preventDefault();
+			if (!event.repeat) {
+				takePortal();
+			}
+		} else if (VIEW_KEYS.has(event.code)) {
+			if (!event.repeat && controls.enabled && !isTransitioning) {
+				turnCameraView(VIEW_KEYS.get(event.code));
+			}
+		} else if (ZOOM_KEYS.has(event.code)) {
+			event.preventDefault();
+			if (controls.enabled && !isTransitioning) {
+				zoomCamera(ZOOM_KEYS.get(event.code));
+			}
+		}
+	});
+	window.addEventListener('keyup', (event) => {
+		heldKeys = heldKeys.filter((code) => code !== event.code);
+	});
+	// keys let go of in another window never send a keyup here
+	window.addEventListener('blur', () => {
+		heldKeys = [];
+	});
+}
+
+var canStep = () => {
+	return !isTransitioning && !isRotating() && !isRiding() && !isDying()
+		&& fallSpeed === 0 && portalCrossing === undefined;
+}
+
+// called every frame before applyMovement()
+var updateKeyboard = () => {
+	if (heldKeys.length > 0 && !hasEnded) {
+		continueSteps(MOVEMENT_KEYS.get(heldKeys[heldKeys.length - 1]));
+	}
+}
+
+// a new direction takes over from a clicked route, or turns the character after the step in progress
+var startSteps = () => {
+	if (canStep() && isWalking()) {
+		walkSteps(path.slice(0, 1));
+	}
+}
+
+// while a direction is held the route is kept one step ahead of the character, so it walks on
+// without stopping between cells; `turns` is the screen direction, quarter turns clockwise from "up"
+var continueSteps = (turns) => {
+	if (!canStep() || path.length > 1) {
+		return;
+	}
+	const direction = getScreenDirection(turns);
+	// finish the step in progress first, the way findPath() does
+	const from = path.length > 0 ? path[0] : characterCell;
+	const next = findNeighbor(from, (to) => stepDirection(navGraph, from, to) === direction);
+	if (next === undefined || (path.length > 0 && isSameCell(path[0], next))) {
+		return;
+	}
+	walkSteps([...path.slice(0, 1), next]);
+}
+
+// grid direction, as stepDirection() writes it, of a screen direction seen from the current camera
+var getScreenDirection = (turns) => {
+	// "up" is away from the camera, turned an eighth clockwise onto a grid axis
+	const angle = getCameraAzimuth() + Math.PI - Math.PI / 4 - turns * Math.PI / 2;
+	const quarter = ((Math.round(angle / (Math.PI / 2)) % 4) + 4) % 4;
+	return ['1,0', '0,1', '-1,0', '0,-1'][quarter];
+}
+
+// Space / Enter on a portal block crosses to the other end
+var takePortal = () => {
+	if (!canStep() || isWalking()) {
+		return;
+	}
+	const exit = findNeighbor(characterCell, (to) => navGraph.portals.has(edgeKey(characterCell, to)));
+	if (exit !== undefined) {
+		walkSteps([exit]);
+	}
+}
+
+var findNeighbor = (from, accept) => {
+	return (navGraph.edges.get(cellKey(from)) || [])
+		.map((key) => navGraph.nodes.get(key))
+		.find((node) => node !== undefined && accept(node));
+}
+
+// replaces the route being walked or searched for by a few steps
+var walkSteps = (steps) => {
+	if (pathRequest !== undefined) {
+		pathRequest.abort();
+		pathRequest = undefined;
+	}
+	if (MOUSE_POINTED !== undefined) {
+		MOUSE_POINTED.material.color.set(`rgb(${settings.cellColor})`);
+		MOUSE_POINTED = undefined;
+	}
+	clearWaypoints();
+	path = steps;
+	isMoving = true;
+}
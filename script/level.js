@@ -0,0 +1,38 @@
+// level currently being played, see levels/*.json for the file format
+let level;
+
+// ========== LEVEL LOADING ==========
+var loadLevel = async (url, completion) => {
+	return useLevel(await fetchLevel(url, completion));
+}
+
+// resolves to the validated level file, the level being played is left alone
+var fetchLevel = async (url, completion) => {
+	const response = await fetch(url);
+	if (!response.ok) {
+		throw new Error(`failed to load level ${url} (${response.status})`);
+	}
+	const levelData = await response.json();
+	const errors = validateLevel(levelData, completion);
+	if (errors.length > 0) {
+		throw new Error(formatLevelErrors(url, errors));
+	}
+	return levelData;
+}
+
+// makes a level returned by fetchLevel() the one being played
+var useLevel = (levelData) => {
+	level = levelData;
+
+	settings = level.settings;
+	floorplan = level.grid;
+
+	// actual coordinates of floorplan[0][0][0]
+	const origin = getGridOrigin(floorplan);
+	defaultMapGeometry = new THREE.Vector3(origin.x, origin.y, origin.z);
+	return level;
+}
+
+var isSameCell = (a, b) => {
+	return a !== undefined && b !== undefined && a.z === b.z && a.x === b.x && a.y === b.y;
+}
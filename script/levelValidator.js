@@ -0,0 +1,655 @@
+// Checks a level file (see levels/*.json) before it reaches floorplanRenderer().
+// Runs in the browser through loadLevel() and from Node:
+//   node script/levelValidator.js levels/main.json [levels/bonus.json ...]
+// Passing levels/campaign.json checks the manifest and every level it lists.
+
+if (typeof module !== 'undefined' && module.exports) {
+	Object.assign(global, require('./grid.js'));
+}
+
+// ========== VALIDATION ==========
+// colour fields of "settings", each an "r, g, b" string as rgb() takes it
+const SETTINGS_COLORS = ['background', 'globalLight', 'ambientLight', 'cellColor', 'tail', 'pointLight'];
+// mirrors TRIGGER_CONDITIONS / TRIGGER_ACTIONS in script/trigger.js, with the fields each action requires
+// and the values each condition takes
+const TRIGGER_CONDITION_VALUES = {
+	lightsRevealed: { accepts: (value) => Number.isInteger(value) && value >= 0, expected: 'a non-negative integer' },
+	allLights: { accepts: (value) => typeof value === 'boolean', expected: 'true or false' }
+};
+const TRIGGER_ACTION_FIELDS = {
+	revealLight: [],
+	nextLevel: [],
+	showText: ['text'],
+	playSound: ['src'],
+	moveMover: ['id'],
+	toggleGate: ['id']
+};
+
+var hasOwn = (object, name) => Object.prototype.hasOwnProperty.call(object, name);
+
+var isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+var isRgbString = (value) => {
+	const match = typeof value === 'string' && value.match(/^\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*$/);
+	return Boolean(match) && match.slice(1).every((channel) => Number(channel) <= 255);
+}
+
+// returns a list of { field, z, x, y, message }, empty when the level is fine;
+// `completion` is the level's "complete" condition from the campaign manifest
+var validateLevel = (levelData, completion) => {
+	const errors = [];
+	const report = (field, message, position = {}) => {
+		errors.push({ field, z: position.z, x: position.x, y: position.y, message });
+	}
+
+	if (levelData === null || typeof levelData !== 'object') {
+		report('level', 'level must be a JSON object');
+		return errors;
+	}
+
+	const settings = levelData.settings;
+	if (settings === null || typeof settings !== 'object') {
+		report('settings', 'must be an object with the frame rate and the palette');
+	} else {
+		if (typeof settings.frameRate !== 'number' || !(settings.frameRate > 0)) {
+			report('settings.frameRate', 'must be a positive number of frames per second');
+		}
+		if (typeof settings.pointLightScale !== 'number' || !(settings.pointLightScale > 0)) {
+			report('settings.pointLightScale', 'must be a positive number');
+		}
+		SETTINGS_COLORS
+			.filter((name) => !isRgbString(settings[name]))
+			.forEach((name) => report(`settings.${name}`, 'must be an "r, g, b" string with channels from 0 to 255'));
+	}
+
+	if (levelData.stableLayers !== null && !(Number.isInteger(levelData.stableLayers) && levelData.stableLayers >= 0)) {
+		report('stableLayers', 'must be a non-negative number of layers, or null');
+	}
+
+	const cells = levelData.grid;
+	if (!Array.isArray(cells) || cells.length === 0) {
+		report('grid', 'grid must be a non-empty array of layers');
+		return errors;
+	}
+
+	// every layer must be the same square as the first one
+	const size = Array.isArray(cells[0]) ? cells[0].length : 0;
+	if (size === 0) {
+		report('grid', 'first layer must be a non-empty array of rows', { z: 0 });
+		return errors;
+	}
+	let hasShapeErrors = false;
+	for (let z = 0; z < cells.length; z++) {
+		if (!Array.isArray(cells[z]) || cells[z].length !== size) {
+			report('grid', `layer must have ${size} rows`, { z });
+			hasShapeErrors = true;
+			continue;
+		}
+		for (let x = 0; x < size; x++) {
+			if (!Array.isArray(cells[z][x]) || cells[z][x].length !== size) {
+				report('grid', `row must have ${size} cells to keep the layer square`, { z, x });
+				hasShapeErrors = true;
+				continue;
+			}
+			for (let y = 0; y < size; y++) {
+				if (!CELL_CODES.includes(cells[z][x][y])) {
+					report('grid', `unknown cell code ${JSON.stringify(cells[z][x][y])}`, { z, x, y });
+				}
+			}
+		}
+	}
+	// coordinates cannot be checked against a malformed grid
+	if (hasShapeErrors) {
+		return errors;
+	}
+
+	// an offset that disagrees with getGridOrigin() would draw the blocks away from where the character walks
+	if (settings !== null && typeof settings === 'object' && settings.offsetY !== getLayoutOffsetY(cells)) {
+		report('settings.offsetY', `must be ${getLayoutOffsetY(cells)} for ${cells.length} layers of ${size}×${size} cells, where the blocks line up with the character`);
+	}
+
+	const isInside = (position) => {
+		return position.z >= 0 && position.z < cells.length &&
+			position.x >= 0 && position.x < size &&
+			position.y >= 0 && position.y < size;
+	}
+
+	const checkPosition = (field, position, expectation) => {
+		if (position === null || typeof position !== 'object' ||
+			!Number.isInteger(position.z) || !Number.isInteger(position.x) || !Number.isInteger(position.y)) {
+			report(field, 'must be an object with integer z, x and y');
+			return;
+		}
+		if (!isInside(position)) {
+			report(field, 'is outside the grid', position);
+			return;
+		}
+		if (expectation === 'platform' && !isPlatformCell(cells, position.z, position.x, position.y)) {
+			report(field, 'must be a walkable cell with nothing solid above it', position);
+		} else if (expectation === 'light' && cells[position.z][position.x][position.y] !== CELL_LIGHT) {
+			report(field, 'must be a CELL_LIGHT cell', position);
+		}
+	}
+
+	const moverIds = (Array.isArray(levelData.movers) ? levelData.movers : [])
+		.map((mover) => mover && mover.id);
+	const gateIds = (Array.isArray(levelData.gates) ? levelData.gates : [])
+		.map((gate) => gate && gate.id);
+	// actions that name a mover or a gate of this level
+	const actionIds = { moveMover: moverIds, toggleGate: gateIds };
+
+	const checkTrigger = (field, trigger) => {
+		if (trigger === null || typeof trigger !== 'object') {
+			report(field, 'must be an object');
+			return;
+		}
+		checkPosition(`${field}.cell`, trigger.cell, 'platform');
+		if (trigger.once !== undefined && typeof trigger.once !== 'boolean') {
+			report(`${field}.once`, 'must be true or false');
+		}
+		if (trigger.when !== undefined && !isPlainObject(trigger.when)) {
+			report(`${field}.when`, 'must be an object of conditions');
+		}
+		Object.entries(isPlainObject(trigger.when) ? trigger.when : {}).forEach(([name, value]) => {
+			if (!hasOwn(TRIGGER_CONDITION_VALUES, name)) {
+				report(`${field}.when.${name}`, `unknown condition, expected one of ${Object.keys(TRIGGER_CONDITION_VALUES).join(', ')}`);
+			} else if (!TRIGGER_CONDITION_VALUES[name].accepts(value)) {
+				report(`${field}.when.${name}`, `must be ${TRIGGER_CONDITION_VALUES[name].expected}`);
+			}
+		});
+		if (!Array.isArray(trigger.actions) || trigger.actions.length === 0) {
+			report(`${field}.actions`, 'must be a non-empty array');
+			return;
+		}
+		trigger.actions.forEach((action, i) => {
+			if (!isPlainObject(action)) {
+				report(`${field}.actions[${i}]`, 'must be an object with a "type"');
+				return;
+			}
+			if (!hasOwn(TRIGGER_ACTION_FIELDS, action.type)) {
+				report(`${field}.actions[${i}]`, `unknown action type, expected one of ${Object.keys(TRIGGER_ACTION_FIELDS).join(', ')}`);
+				return;
+			}
+			TRIGGER_ACTION_FIELDS[action.type]
+				.filter((name) => typeof action[name] !== 'string' || action[name] === '')
+				.forEach((name) => report(`${field}.actions[${i}].${name}`, `"${action.type}" needs a "${name}" string`));
+			const ids = actionIds[action.type];
+			if (ids !== undefined && typeof action.id === 'string' && !ids.includes(action.id)) {
+				report(`${field}.actions[${i}].id`, `no ${action.type === 'moveMover' ? 'mover' : 'gate'} with id "${action.id}"`);
+			}
+		});
+	}
+
+	checkPosition('start', levelData.start, 'platform');
+	checkPosition('goal', levelData.goal, 'platform');
+	checkPosition('mother', levelData.mother);
+
+	const lights = levelData.lights;
+	if (lights === null || typeof lights !== 'object' || !Array.isArray(lights.hidden)) {
+		report('lights', 'must have a "hidden" array');
+	} else {
+		lights.hidden.forEach((each, i) => checkPosition(`lights.hidden[${i}]`, each, 'light'));
+	}
+
+	if (!Array.isArray(levelData.triggers)) {
+		report('triggers', 'must be an array');
+	} else {
+		levelData.triggers.forEach((trigger, i) => checkTrigger(`triggers[${i}]`, trigger));
+	}
+
+	// optional, see script/respawn.js
+	if (levelData.checkpoints !== undefined) {
+		if (!Array.isArray(levelData.checkpoints)) {
+			report('checkpoints', 'must be an array');
+		} else {
+			levelData.checkpoints.forEach((each, i) => checkPosition(`checkpoints[${i}]`, each, 'platform'));
+		}
+	}
+
+	// optional, see script/view.js
+	const illusions = levelData.illusions;
+	if (illusions !== undefined) {
+		if (illusions === null || typeof illusions !== 'object') {
+			report('illusions', 'must be an object with "auto" and "links"');
+		} else {
+			if (illusions.auto !== undefined && typeof illusions.auto !== 'boolean') {
+				report('illusions.auto', 'must be true or false');
+			}
+			if (illusions.links !== undefined && !Array.isArray(illusions.links)) {
+				report('illusions.links', 'must be an array');
+			}
+			(Array.isArray(illusions.links) ? illusions.links : []).forEach((link, i) => {
+				const field = `illusions.links[${i}]`;
+				if (link === null || typeof link !== 'object') {
+					report(field, 'must be an object');
+					return;
+				}
+				if (![0, 1, 2, 3].includes(link.view)) {
+					report(`${field}.view`, 'must be a camera view from 0 to 3');
+				}
+				checkPosition(`${field}.from`, link.from, 'platform');
+				checkPosition(`${field}.to`, link.to, 'platform');
+			});
+		}
+	}
+
+	// blocks outside the stable layers are scattered decoration without a cell to follow
+	const isScattered = (cell) => {
+		return Number.isInteger(levelData.stableLayers) && isInside(levelData.start || {}) &&
+			Math.abs(cell.z - levelData.start.z) > levelData.stableLayers;
+	}
+
+	// optional, see script/rotator.js
+	const rotators = levelData.rotators;
+	if (rotators !== undefined && !Array.isArray(rotators)) {
+		report('rotators', 'must be an array');
+	}
+	const claimed = new Set();
+	(Array.isArray(rotators) ? rotators : []).forEach((rotator, i) => {
+		const field = `rotators[${i}]`;
+		if (rotator === null || typeof rotator !== 'object') {
+			report(field, 'must be an object');
+			return;
+		}
+		const errorCount = errors.length;
+		if (!['x', 'y', 'z'].includes(rotator.axis)) {
+			report(`${field}.axis`, 'must be "x", "y" or "z"');
+		}
+		checkPosition(`${field}.pivot`, rotator.pivot);
+		checkPosition(`${field}.handle`, rotator.handle);
+		if (!Array.isArray(rotator.cells) || rotator.cells.length === 0) {
+			report(`${field}.cells`, 'must be a non-empty array');
+			return;
+		}
+		rotator.cells.forEach((cell, j) => checkPosition(`${field}.cells[${j}]`, cell));
+		if (errors.length > errorCount) {
+			return;
+		}
+
+		rotator.cells.forEach((cell, j) => {
+			const code = cells[cell.z][cell.x][cell.y];
+			if (code === CELL_BLANK || code === CELL_LIGHT) {
+				report(`${field}.cells[${j}]`, 'must be a solid cell, lights cannot rotate', cell);
+			}
+			// the navigation graph only climbs stairs towards -x, the way their model faces
+			if (code === CELL_STAIRS) {
+				report(`${field}.cells[${j}]`, 'stairs cannot rotate, they always climb towards -x', cell);
+			}
+			if (isScattered(cell)) {
+				report(`${field}.cells[${j}]`, 'must be within the stable layers', cell);
+			}
+			const key = `${cell.z}:${cell.x}:${cell.y}`;
+			if (claimed.has(key)) {
+				report(`${field}.cells[${j}]`, 'belongs to more than one rotator, mover or gate', cell);
+			}
+			claimed.add(key);
+		});
+
+		// turns that leave the grid or run into the rest of the monument are refused in game,
+		// a segment that cannot make any of them is a level bug
+		const isMember = (position) => rotator.cells.some((cell) =>
+			cell.z === position.z && cell.x === position.x && cell.y === position.y
+		);
+		const canTurn = [1, 2, 3].some((turns) => rotator.cells.every((cell) => {
+			const turned = rotateCell(cell, rotator.pivot, rotator.axis, turns);
+			return isInside(turned) && (cells[turned.z][turned.x][turned.y] === CELL_BLANK || isMember(turned));
+		}));
+		if (!canTurn) {
+			report(`${field}.cells`, 'cannot turn in any direction without leaving the grid or hitting a solid cell', rotator.pivot);
+		}
+	});
+
+	// optional, see script/mover.js
+	const movers = levelData.movers;
+	if (movers !== undefined && !Array.isArray(movers)) {
+		report('movers', 'must be an array');
+	}
+	(Array.isArray(movers) ? movers : []).forEach((mover, i) => {
+		const field = `movers[${i}]`;
+		if (mover === null || typeof mover !== 'object') {
+			report(field, 'must be an object');
+			return;
+		}
+		const errorCount = errors.length;
+		if (typeof mover.id !== 'string' || mover.id === '') {
+			report(`${field}.id`, 'must be a non-empty string');
+		} else if (moverIds.indexOf(mover.id) !== i) {
+			report(`${field}.id`, `"${mover.id}" is used by another mover`);
+		}
+		if (typeof mover.speed !== 'number' || !(mover.speed > 0)) {
+			report(`${field}.speed`, 'must be a positive number of blocks per second');
+		}
+		if (mover.loop !== undefined && typeof mover.loop !== 'boolean') {
+			report(`${field}.loop`, 'must be true or false');
+		}
+		if (!Array.isArray(mover.track) || mover.track.length !== 2) {
+			report(`${field}.track`, 'must hold the two ends of the track');
+			return;
+		}
+		mover.track.forEach((end, j) => checkPosition(`${field}.track[${j}]`, end));
+		if (!Array.isArray(mover.cells) || mover.cells.length === 0) {
+			report(`${field}.cells`, 'must be a non-empty array');
+			return;
+		}
+		mover.cells.forEach((cell, j) => checkPosition(`${field}.cells[${j}]`, cell));
+		if (errors.length > errorCount) {
+			return;
+		}
+
+		const [from, to] = mover.track;
+		if (from.z !== mover.cells[0].z || from.x !== mover.cells[0].x || from.y !== mover.cells[0].y) {
+			report(`${field}.track[0]`, 'must be where the first cell starts', from);
+		}
+		const axes = ['z', 'x', 'y'].filter((axis) => from[axis] !== to[axis]);
+		if (axes.length !== 1) {
+			report(`${field}.track`, 'must run straight along one axis', to);
+			return;
+		}
+
+		const isMember = (position) => mover.cells.some((cell) =>
+			cell.z === position.z && cell.x === position.x && cell.y === position.y
+		);
+		mover.cells.forEach((cell, j) => {
+			const code = cells[cell.z][cell.x][cell.y];
+			if (code === CELL_BLANK || code === CELL_LIGHT) {
+				report(`${field}.cells[${j}]`, 'must be a solid cell, lights cannot move', cell);
+			}
+			if (isScattered(cell)) {
+				report(`${field}.cells[${j}]`, 'must be within the stable layers', cell);
+			}
+			const key = `${cell.z}:${cell.x}:${cell.y}`;
+			if (claimed.has(key)) {
+				report(`${field}.cells[${j}]`, 'belongs to more than one rotator, mover or gate', cell);
+			}
+			claimed.add(key);
+		});
+
+		// the whole way along the track has to be clear
+		const axis = axes[0];
+		const direction = Math.sign(to[axis] - from[axis]);
+		for (let blocks = 1; blocks <= Math.abs(to[axis] - from[axis]); blocks++) {
+			mover.cells.forEach((cell, j) => {
+				const moved = { ...cell, [axis]: cell[axis] + direction * blocks };
+				if (!isInside(moved)) {
+					report(`${field}.cells[${j}]`, 'leaves the grid along the track', cell);
+				} else if (cells[moved.z][moved.x][moved.y] !== CELL_BLANK && !isMember(moved)) {
+					report(`${field}.cells[${j}]`, 'runs into a solid cell along the track', moved);
+				}
+			});
+		}
+	});
+
+	// optional, see script/mechanism.js
+	const gates = levelData.gates;
+	if (gates !== undefined && !Array.isArray(gates)) {
+		report('gates', 'must be an array');
+	}
+	(Array.isArray(gates) ? gates : []).forEach((gate, i) => {
+		const field = `gates[${i}]`;
+		if (gate === null || typeof gate !== 'object') {
+			report(field, 'must be an object');
+			return;
+		}
+		if (typeof gate.id !== 'string' || gate.id === '') {
+			report(`${field}.id`, 'must be a non-empty string');
+		} else if (gateIds.indexOf(gate.id) !== i) {
+			report(`${field}.id`, `"${gate.id}" is used by another gate`);
+		}
+		if (typeof gate.solid !== 'boolean') {
+			report(`${field}.solid`, 'must be true for a door, false for a bridge');
+		}
+		if (!Array.isArray(gate.cells) || gate.cells.length === 0) {
+			report(`${field}.cells`, 'must be a non-empty array');
+			return;
+		}
+		const errorCount = errors.length;
+		gate.cells.forEach((cell, j) => checkPosition(`${field}.cells[${j}]`, cell));
+		if (errors.length > errorCount || typeof gate.solid !== 'boolean') {
+			return;
+		}
+		// the grid shows the gate the way it starts
+		const expected = gate.solid ? CELL_BLOCK : CELL_BLANK;
+		gate.cells.forEach((cell, j) => {
+			if (cells[cell.z][cell.x][cell.y] !== expected) {
+				report(`${field}.cells[${j}]`, `must be ${gate.solid ? 'a CELL_BLOCK' : 'blank'} in the grid while the gate is ${gate.solid ? 'solid' : 'open'}`, cell);
+			}
+			const key = `${cell.z}:${cell.x}:${cell.y}`;
+			if (claimed.has(key)) {
+				report(`${field}.cells[${j}]`, 'belongs to more than one rotator, mover or gate', cell);
+			}
+			claimed.add(key);
+		});
+	});
+
+	// optional, see script/crumble.js
+	const timedPlatforms = levelData.timedPlatforms;
+	if (timedPlatforms !== undefined && !Array.isArray(timedPlatforms)) {
+		report('timedPlatforms', 'must be an array');
+	}
+	(Array.isArray(timedPlatforms) ? timedPlatforms : []).forEach((platform, i) => {
+		const field = `timedPlatforms[${i}]`;
+		if (platform === null || typeof platform !== 'object') {
+			report(field, 'must be an object');
+			return;
+		}
+		checkPosition(`${field}.light`, platform.light, 'light');
+		if ((platform.on === undefined) !== (platform.off === undefined)) {
+			report(field, 'needs both "on" and "off", or neither');
+		}
+		['on', 'off']
+			.filter((name) => platform[name] !== undefined && !(typeof platform[name] === 'number' && platform[name] > 0))
+			.forEach((name) => report(`${field}.${name}`, 'must be a positive number of seconds'));
+		if (!Array.isArray(platform.cells) || platform.cells.length === 0) {
+			report(`${field}.cells`, 'must be a non-empty array');
+			return;
+		}
+		const errorCount = errors.length;
+		platform.cells.forEach((cell, j) => checkPosition(`${field}.cells[${j}]`, cell));
+		if (errors.length > errorCount) {
+			return;
+		}
+		platform.cells.forEach((cell, j) => {
+			if (cells[cell.z][cell.x][cell.y] !== CELL_BLOCK) {
+				report(`${field}.cells[${j}]`, 'must be a CELL_BLOCK in the grid', cell);
+			}
+			const key = `${cell.z}:${cell.x}:${cell.y}`;
+			if (claimed.has(key)) {
+				report(`${field}.cells[${j}]`, 'is already part of a rotator, mover, gate or timed platform', cell);
+			}
+			claimed.add(key);
+		});
+	});
+
+	if (levelData.crumbleDelay !== undefined && !(typeof levelData.crumbleDelay === 'number' && levelData.crumbleDelay > 0)) {
+		report('crumbleDelay', 'must be a positive number of seconds');
+	}
+	// a crumbling block falls out of the grid, it cannot also be carried around
+	cells.forEach((layer, z) => layer.forEach((row, x) => row.forEach((code, y) => {
+		if (code === CELL_CRUMBLE && claimed.has(`${z}:${x}:${y}`)) {
+			report('grid', 'a crumbling block cannot be part of a rotator, mover, gate or timed platform', { z, x, y });
+		}
+	})));
+
+	// optional, see script/portal.js
+	const portals = levelData.portals;
+	if (portals !== undefined && !Array.isArray(portals)) {
+		report('portals', 'must be an array');
+	}
+	const portalEnds = new Set();
+	(Array.isArray(portals) ? portals : []).forEach((portal, i) => {
+		const field = `portals[${i}]`;
+		if (portal === null || typeof portal !== 'object') {
+			report(field, 'must be an object with "from" and "to"');
+			return;
+		}
+		['from', 'to'].forEach((end) => {
+			const errorCount = errors.length;
+			checkPosition(`${field}.${end}`, portal[end], 'platform');
+			if (errors.length > errorCount) {
+				return;
+			}
+			const { z, x, y } = portal[end];
+			const key = `${z}:${x}:${y}`;
+			if (cells[z][x][y] !== CELL_PORTAL) {
+				report(`${field}.${end}`, 'must be a CELL_PORTAL cell', portal[end]);
+			}
+			if (portalEnds.has(key)) {
+				report(`${field}.${end}`, 'is already the end of another portal', portal[end]);
+			}
+			if (claimed.has(key)) {
+				report(`${field}.${end}`, 'cannot be part of a rotator, mover, gate or timed platform', portal[end]);
+			}
+			portalEnds.add(key);
+		});
+	});
+	// every portal block leads somewhere
+	cells.forEach((layer, z) => layer.forEach((row, x) => row.forEach((code, y) => {
+		if (code === CELL_PORTAL && !portalEnds.has(`${z}:${x}:${y}`)) {
+			report('grid', 'a portal block must be one end of an entry in "portals"', { z, x, y });
+		}
+	})));
+
+	const switches = levelData.switches;
+	if (switches !== undefined && !Array.isArray(switches)) {
+		report('switches', 'must be an array');
+	}
+	(Array.isArray(switches) ? switches : []).forEach((each, i) => {
+		const field = `switches[${i}]`;
+		if (each === null || typeof each !== 'object') {
+			report(field, 'must be an object');
+			return;
+		}
+		const errorCount = errors.length;
+		checkPosition(`${field}.cell`, each.cell, 'platform');
+		if (errors.length === errorCount) {
+			const { z, x, y } = each.cell;
+			if (cells[z][x][y] !== CELL_PLATE && cells[z][x][y] !== CELL_SWITCH) {
+				report(`${field}.cell`, 'must be a CELL_PLATE or CELL_SWITCH cell', each.cell);
+			}
+			if (claimed.has(`${z}:${x}:${y}`)) {
+				report(`${field}.cell`, 'cannot be part of a rotator, mover or gate', each.cell);
+			}
+		}
+		if (!Array.isArray(each.toggles) || each.toggles.length === 0) {
+			report(`${field}.toggles`, 'must be a non-empty array of gate ids');
+			return;
+		}
+		each.toggles
+			.filter((id) => !gateIds.includes(id))
+			.forEach((id) => report(`${field}.toggles`, `no gate with id ${JSON.stringify(id)}`));
+	});
+
+	if (completion !== undefined && completion.reach !== 'goal') {
+		checkPosition('complete.reach', completion.reach, 'platform');
+	}
+	// enterLevel() reveals the first hidden light, every other one needs a "revealLight" action
+	if (completion !== undefined && completion.allLights === true &&
+		Array.isArray(levelData.triggers) && lights !== null && typeof lights === 'object' && Array.isArray(lights.hidden)) {
+		const reveals = levelData.triggers
+			.filter((trigger) => trigger !== null && typeof trigger === 'object' && Array.isArray(trigger.actions))
+			.reduce((count, trigger) => count + trigger.actions.filter((action) => action && action.type === 'revealLight').length, 0);
+		if (reveals < lights.hidden.length - 1) {
+			report('complete.allLights', `needs every hidden light, but the triggers reveal only ${reveals + 1} of ${lights.hidden.length}`);
+		}
+	}
+
+	return errors;
+}
+
+// checks levels/campaign.json; the level files it lists are checked by validateLevel()
+var validateCampaign = (manifest) => {
+	const errors = [];
+	const report = (field, message) => {
+		errors.push({ field, message });
+	}
+
+	if (manifest === null || typeof manifest !== 'object') {
+		report('campaign', 'campaign must be a JSON object');
+		return errors;
+	}
+	if (!Array.isArray(manifest.levels) || manifest.levels.length === 0) {
+		report('levels', 'must be a non-empty array');
+	} else {
+		const ids = [];
+		manifest.levels.forEach((entry, i) => {
+			const field = `levels[${i}]`;
+			if (entry === null || typeof entry !== 'object') {
+				report(field, 'must be an object');
+				return;
+			}
+			if (typeof entry.id !== 'string' || entry.id === '') {
+				report(`${field}.id`, 'must be a non-empty string');
+			} else if (ids.includes(entry.id)) {
+				report(`${field}.id`, `duplicate level id "${entry.id}"`);
+			} else {
+				ids.push(entry.id);
+			}
+			if (typeof entry.file !== 'string' || entry.file === '') {
+				report(`${field}.file`, 'must be the path of a level file');
+			}
+
+			const condition = entry.complete;
+			if (condition === null || typeof condition !== 'object') {
+				report(`${field}.complete`, 'must be an object such as { "reach": "goal" }');
+				return;
+			}
+			if (condition.reach !== 'goal' && (condition.reach === null || typeof condition.reach !== 'object')) {
+				report(`${field}.complete.reach`, 'must be "goal" or a { z, x, y } cell');
+			}
+			if (condition.allLights !== undefined && typeof condition.allLights !== 'boolean') {
+				report(`${field}.complete.allLights`, 'must be true or false');
+			}
+		});
+	}
+
+	const ending = manifest.ending;
+	if (ending === null || typeof ending !== 'object' ||
+		typeof ending.title !== 'string' || typeof ending.text !== 'string') {
+		report('ending', 'must have a "title" and a "text"');
+	}
+
+	return errors;
+}
+
+var formatLevelErrors = (source, errors) => {
+	const lines = errors.map((each) => {
+		const coordinates = ['z', 'x', 'y']
+			.filter((axis) => each[axis] !== undefined)
+			.map((axis) => `${axis} ${each[axis]}`);
+		const where = coordinates.length > 0 ? ` (${coordinates.join(', ')})` : '';
+		return `  ${each.field}${where}: ${each.message}`;
+	});
+	return `${source} has ${errors.length} problem(s):\n${lines.join('\n')}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { validateLevel, validateCampaign, formatLevelErrors };
+
+	if (require.main === module) {
+		const fs = require('fs');
+		const check = (file, validate) => {
+			const errors = validate(JSON.parse(fs.readFileSync(file, 'utf8')));
+			if (errors.length > 0) {
+				console.error(formatLevelErrors(file, errors));
+			} else {
+				console.log(`${file}: ok`);
+			}
+			return errors.length === 0;
+		}
+
+		let failed = false;
+		process.argv.slice(2).forEach((file) => {
+			const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+			if (!Array.isArray(json.levels)) {
+				failed = !check(file, validateLevel) || failed;
+				return;
+			}
+			failed = !check(file, validateCampaign) || failed;
+			// level paths in the manifest are relative to the site root
+			json.levels.forEach((entry) => {
+				failed = !check(entry.file, (levelData) => validateLevel(levelData, entry.complete)) || failed;
+			});
+		});
+		process.exit(failed ? 1 : 0);
+	}
+}
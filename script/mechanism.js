@@ -0,0 +1,131 @@
+// Pressure plates, switches and the gates they work (see "gates" / "switches" in levels/*.json):
+//   gate:   { "id": "door", "cells": [{ z, x, y }, ...], "solid": true }
+//   switch: { "cell": { z, x, y }, "toggles": ["door"] }
+// A gate is a set of blocks that appear and disappear together: a door starts solid,
+// a bridge starts open. A switch block (CELL_SWITCH) flips its gates every time the
+// character steps onto it, a pressure plate (CELL_PLATE) flips them while the character
+// stands on it and flips them back once it steps off.
+
+let gates = [];
+let switches = [];
+
+// ========== SETUP ==========
+// called by buildStage() before floorplanRenderer(), which leaves the gate cells alone
+var buildGates = () => {
+	gates = (level.gates || []).map((definition) => {
+		const group = addCellGroup();
+		group.visible = definition.solid;
+		return {
+			id: definition.id,
+			cells: definition.cells,
+			group,
+			solid: definition.solid,
+			// the state the switches ask for, applied once nothing stands in the way
+			wanted: definition.solid
+		};
+	});
+	gates.forEach((gate) => {
+		gate.cells.forEach((cell) => {
+			const center = getBlockCenter(cell);
+			new Cube(
+				center.x, center.y, center.z,
+				`rgb(${settings.cellColor})`,
+				blockSize,
+				isPlatformCell(floorplan, cell.z, cell.x, cell.y),
+				0,
+				cell
+			).render();
+		});
+	});
+
+	switches = (level.switches || []).map((definition) => ({
+		cell: definition.cell,
+		toggles: definition.toggles,
+		isPlate: floorplan[definition.cell.z][definition.cell.x][definition.cell.y] === CELL_PLATE,
+		pressed: false
+	}));
+}
+
+var findGate = (cell) => {
+	return gates.find((gate) => gate.cells.some((each) => isSameCell(each, cell)));
+}
+
+// "toggleGate" trigger action, and what every switch does to the gates it is wired to
+var toggleGate = (id) => {
+	const gate = gates.find((each) => each.id === id);
+	if (gate !== undefined) {
+		gate.wanted = !gate.wanted;
+	}
+}
+
+// ========== SWITCHES ==========
+// onStep of CELL_PLATE and CELL_SWITCH, see script/grid.js
+var pressSwitch = (cell) => {
+	const each = switches.find((candidate) => isSameCell(candidate.cell, cell));
+	if (each !== undefined) {
+		flipSwitch(each, !each.pressed);
+	}
+}
+
+// onLeave of CELL_PLATE, the plate springs back up
+var releaseSwitch = (cell) => {
+	const each = switches.find((candidate) => isSameCell(candidate.cell, cell));
+	if (each !== undefined && each.pressed) {
+		flipSwitch(each, false);
+	}
+}
+
+var flipSwitch = (each, pressed) => {
+	each.pressed = pressed;
+	each.toggles.forEach(toggleGate);
+	showSwitch(each);
+}
+
+var showSwitch = (each) => {
+	scene.traverse((object) => {
+		if (!object.userData.switchTop || !isSameCell(object.parent.userData.cell, each.cell)) {
+			return;
+		}
+		if (each.isPlate) {
+			object.position.z = blockSize / 2 + (each.pressed ? -0.5 : 1);
+		} else {
+			object.rotation.y = each.pressed ? 0.5 : -0.5;
+		}
+	});
+}
+
+// ========== GATES ==========
+// called every frame, gates wait until they can change without trapping the character
+var updateGates = () => {
+	gates.forEach((gate) => {
+		if (gate.solid !== gate.wanted && canSwitchGate(gate)) {
+			setGate(gate, gate.wanted);
+		}
+	});
+}
+
+var canSwitchGate = (gate) => {
+	if (isRotating() || isMoverRunning()) {
+		return false;
+	}
+	const occupied = [characterCell, ...(isWalking() ? path.slice(0, 1) : [])];
+	return gate.cells.every((cell) => occupied.every((each) => {
+		if (gate.solid) {
+			// the floor under the character does not vanish
+			return !isSameCell(cell, each);
+		}
+		// a block never closes over the character, nor over a cell taken by something else
+		return floorplan[cell.z][cell.x][cell.y] === CELL_BLANK &&
+			!isSameCell(cell, { z: each.z - 1, x: each.x, y: each.y }) &&
+			!isSameCell(cell, each);
+	}));
+}
+
+var setGate = (gate, solid) => {
+	gate.cells.forEach((cell) => {
+		floorplan[cell.z][cell.x][cell.y] = solid ? CELL_BLOCK : CELL_BLANK;
+	});
+	gate.solid = solid;
+	gate.group.visible = solid;
+	rebuildNavGraph();
+}
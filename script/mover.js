@@ -0,0 +1,163 @@
+// Moving platforms (see "movers" in levels/*.json):
+//   { "id": "lift", "cells": [{ z, x, y }, ...], "track": [{ z, x, y }, { z, x, y }], "speed": 2, "loop": false }
+// The track holds the two positions of the first cell, the other cells keep their offset
+// to it. A mover with "loop" shuttles between the two ends on its own; otherwise it waits
+// for a "moveMover" trigger action. While a mover travels its cells leave the grid, and
+// they are written back where it stops, so the navigation graph only ever sees it at rest.
+
+// how long a looping mover rests at each end, in ms
+const MOVER_PAUSE = 1500;
+
+let movers = [];
+
+// ========== SETUP ==========
+// every mover slides a group along its track, see addCellGroup()
+var buildMovers = () => {
+	movers = (level.movers || []).map((definition) => {
+		const [from, to] = definition.track;
+		const length = Math.abs(to.z - from.z) + Math.abs(to.x - from.x) + Math.abs(to.y - from.y);
+		const group = addCellGroup();
+
+		return {
+			id: definition.id,
+			cells: definition.cells.map((cell) => ({ ...cell })),
+			// one block along the track, in grid and in world units
+			step: { z: (to.z - from.z) / length, x: (to.x - from.x) / length, y: (to.y - from.y) / length },
+			world: new THREE.Vector3(to.x - from.x, to.y - from.y, from.z - to.z).multiplyScalar(blockSize / length),
+			length,
+			speed: definition.speed,
+			loop: Boolean(definition.loop),
+			group,
+			// blocks travelled from the first end, and the end the mover is heading for
+			position: 0,
+			target: 0,
+			departure: 0,
+			codes: [],
+			isRunning: false,
+			rider: false,
+			restUntil: Date.now() + MOVER_PAUSE
+		};
+	});
+}
+
+var findMover = (cell) => {
+	return movers.find((mover) => mover.cells.some((each) => isSameCell(each, cell)));
+}
+
+var isMoverRunning = () => {
+	return movers.some((mover) => mover.isRunning);
+}
+
+var isRiding = () => {
+	return movers.some((mover) => mover.rider);
+}
+
+// "moveMover" trigger action, sends the mover to the other end of its track
+var sendMover = (id) => {
+	const mover = movers.find((each) => each.id === id);
+	if (mover !== undefined && !mover.isRunning) {
+		mover.target = mover.target === 0 ? mover.length : 0;
+	}
+}
+
+// ========== TRAVEL ==========
+// called every frame, moves the movers and the character standing on them
+var updateMovers = () => {
+	movers.forEach((mover) => {
+		if (!mover.isRunning) {
+			if (mover.loop && mover.position === mover.target && Date.now() >= mover.restUntil) {
+				mover.target = mover.target === 0 ? mover.length : 0;
+			}
+			if (mover.position !== mover.target && canDepart(mover)) {
+				departMover(mover);
+			}
+			return;
+		}
+
+		const distance = mover.speed * frameDelta;
+		const remaining = mover.target - mover.position;
+		const previous = mover.group.position.clone();
+		mover.position = Math.abs(remaining) <= distance
+			? mover.target
+			: mover.position + Math.sign(remaining) * distance;
+		mover.group.position.copy(mover.world).multiplyScalar(mover.position);
+		if (mover.rider) {
+			character.position.add(mover.group.position.clone().sub(previous));
+		}
+
+		if (mover.position === mover.target) {
+			arriveMover(mover);
+		}
+	});
+}
+
+// the character must not be caught halfway through a step onto or off the mover, nor stand
+// or be headed anywhere on the track the mover sweeps
+var canDepart = (mover) => {
+	if (isRotating()) {
+		return false;
+	}
+	const touches = (cell) => cell !== undefined && findMover(cell) === mover;
+	if (isWalking() && (touches(characterCell) || touches(path[0]))) {
+		return false;
+	}
+	// a rider standing still is carried along
+	const cells = touches(characterCell) ? path : [characterCell, ...path];
+	const swept = getSweptCells(mover);
+	return !cells.some((cell) => swept.some((each) => isSameCell(each, cell)));
+}
+
+// every cell the mover's blocks pass through on the way to its target, and the one below each:
+// a character standing on that one has its body in the way
+var getSweptCells = (mover) => {
+	const blocks = mover.target - mover.position;
+	const swept = [];
+	mover.cells.forEach((cell) => {
+		for (let i = 0; i <= Math.abs(blocks); i++) {
+			const along = Math.sign(blocks) * i;
+			const z = cell.z + mover.step.z * along;
+			const x = cell.x + mover.step.x * along;
+			const y = cell.y + mover.step.y * along;
+			swept.push({ z, x, y }, { z: z + 1, x, y });
+		}
+	});
+	return swept;
+}
+
+var departMover = (mover) => {
+	mover.codes = mover.cells.map((cell) => floorplan[cell.z][cell.x][cell.y]);
+	mover.cells.forEach((cell) => {
+		floorplan[cell.z][cell.x][cell.y] = CELL_BLANK;
+	});
+	mover.rider = findMover(characterCell) === mover;
+	mover.departure = mover.position;
+	mover.isRunning = true;
+	rebuildNavGraph();
+}
+
+var arriveMover = (mover) => {
+	const blocks = mover.target - mover.departure;
+	const movedCells = mover.cells.map((cell) => ({
+		z: cell.z + mover.step.z * blocks,
+		x: cell.x + mover.step.x * blocks,
+		y: cell.y + mover.step.y * blocks
+	}));
+	movedCells.forEach((cell, i) => {
+		floorplan[cell.z][cell.x][cell.y] = mover.codes[i];
+	});
+
+	moveGroupCells(mover.group, mover.cells, movedCells);
+	const riderIndex = mover.rider ? mover.cells.findIndex((cell) => isSameCell(cell, characterCell)) : -1;
+	mover.cells = movedCells;
+	mover.isRunning = false;
+	mover.restUntil = Date.now() + MOVER_PAUSE;
+	rebuildNavGraph();
+
+	if (riderIndex !== -1) {
+		// something may have covered the spot, the character then waits to be carried back
+		const cell = movedCells[riderIndex];
+		characterCell = navGraph.nodes.get(cellKey(cell)) || { ...cell, kind: NODE_FLOOR };
+		character.position.copy(getNodePosition(characterCell));
+	}
+	mover.rider = false;
+}
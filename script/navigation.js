@@ -0,0 +1,373 @@
+// Navigation graph over the level grid, shared by findPath() and anything else that walks.
+// Nodes are cells the character can occupy: the top of a platform block ("floor") or a
+// stairs cell ("stairs"). Stairs join the floor they climb to, on their own layer towards -x,
+// with the floor one layer down behind them, which is how the character changes height. Portals join
+// their two ends wherever they are, the step between them costs nothing.
+
+if (typeof module !== 'undefined' && module.exports) {
+	Object.assign(global, require('./grid.js'));
+}
+
+const NODE_FLOOR = 'floor';
+const NODE_STAIRS = 'stairs';
+// XM, XP, YM, YP
+const NAV_DIRECTIONS = [
+	{ x: -1, y: 0 },
+	{ x: 1, y: 0 },
+	{ x: 0, y: -1 },
+	{ x: 0, y: 1 }
+];
+// every flight of stairs.json is turned the same way by its renderer (see script/grid.js) and climbs towards -x
+const STAIRS_ASCENT = NAV_DIRECTIONS[0];
+
+var cellKey = (cell) => `${cell.z}:${cell.x}:${cell.y}`;
+var edgeKey = (from, to) => `${cellKey(from)}>${cellKey(to)}`;
+
+// ========== GRAPH ==========
+// portals: [{ from, to }] pairs of cells, see script/portal.js
+var buildNavGraph = (cells, portals = []) => {
+	const nodes = new Map();
+	const edges = new Map();
+
+	const addNode = (z, x, y, kind) => {
+		const node = { z, x, y, kind, cost: getCellType(cells[z][x][y]).cost };
+		nodes.set(cellKey(node), node);
+		edges.set(cellKey(node), []);
+	}
+	const connect = (a, b) => {
+		const aKey = cellKey(a);
+		const bKey = cellKey(b);
+		if (!edges.get(aKey).includes(bKey)) edges.get(aKey).push(bKey);
+		if (!edges.get(bKey).includes(aKey)) edges.get(bKey).push(aKey);
+	}
+	const floorAt = (z, x, y) => nodes.get(cellKey({ z, x, y }));
+
+	for (let z = 0; z < cells.length; z++) {
+		for (let x = 0; x < cells[z].length; x++) {
+			for (let y = 0; y < cells[z][x].length; y++) {
+				if (isPlatformCell(cells, z, x, y)) {
+					addNode(z, x, y, NODE_FLOOR);
+				}
+			}
+		}
+	}
+
+	// floors next to each other on the same layer
+	nodes.forEach((node) => {
+		NAV_DIRECTIONS.forEach((direction) => {
+			const neighbor = floorAt(node.z, node.x + direction.x, node.y + direction.y);
+			if (neighbor !== undefined) {
+				connect(node, neighbor);
+			}
+		});
+	});
+
+	// stairs rise towards the floor on their own layer and come down to the floor one layer below,
+	// only along the way the model climbs: from the side or the back they are a wall
+	for (let z = 0; z < cells.length; z++) {
+		for (let x = 0; x < cells[z].length; x++) {
+			for (let y = 0; y < cells[z][x].length; y++) {
+				if (cells[z][x][y] !== CELL_STAIRS) {
+					continue;
+				}
+				const upper = floorAt(z, x + STAIRS_ASCENT.x, y + STAIRS_ASCENT.y);
+				const lower = floorAt(z + 1, x - STAIRS_ASCENT.x, y - STAIRS_ASCENT.y);
+				if (upper === undefined || lower === undefined) {
+					continue;
+				}
+				addNode(z, x, y, NODE_STAIRS);
+				const stairs = nodes.get(cellKey({ z, x, y }));
+				connect(stairs, upper);
+				connect(stairs, lower);
+			}
+		}
+	}
+
+	// both ends of a portal, as long as both can be stood on
+	const portalEdges = new Set();
+	portals.forEach(({ from, to }) => {
+		const a = nodes.get(cellKey(from));
+		const b = nodes.get(cellKey(to));
+		if (a === undefined || b === undefined) {
+			return;
+		}
+		connect(a, b);
+		portalEdges.add(edgeKey(a, b));
+		portalEdges.add(edgeKey(b, a));
+	});
+
+	return { nodes, edges, illusions: new Map(), portals: portalEdges };
+}
+
+// ========== ILLUSIONS ==========
+// Snapped camera views, view k looks at the monument from azimuth -45° + k * 90°
+// (view 0 is where the camera starts). In a snapped view two floors that are far
+// apart in 3D can line up on screen, and the character may walk across the seam.
+const VIEW_AZIMUTHS = [0, 1, 2, 3].map((view) => -Math.PI / 4 + view * Math.PI / 2);
+// how far apart two cells may be on screen, in blocks, and still count as lined up
+const ILLUSION_TOLERANCE = 0.25;
+
+// orthographic screen position of the top of a cell, in blocks
+var projectCell = (cell, view, polarAngle) => {
+	const azimuth = VIEW_AZIMUTHS[view];
+	// z = 0 is the top layer, so height goes down as z grows
+	const height = -cell.z;
+	return {
+		u: -cell.x * Math.sin(azimuth) + cell.y * Math.cos(azimuth),
+		v: -Math.cos(polarAngle) * (cell.x * Math.cos(azimuth) + cell.y * Math.sin(azimuth)) +
+			Math.sin(polarAngle) * height
+	};
+}
+
+// the step out of `from` that lands on `to` on screen, or null when they do not line up
+var findIllusionStep = (from, to, view, polarAngle) => {
+	const target = projectCell(to, view, polarAngle);
+	let best = null;
+	let bestDistance = ILLUSION_TOLERANCE;
+	NAV_DIRECTIONS.forEach((direction) => {
+		const slot = { z: from.z, x: from.x + direction.x, y: from.y + direction.y };
+		const projected = projectCell(slot, view, polarAngle);
+		const distance = Math.hypot(projected.u - target.u, projected.v - target.v);
+		if (distance <= bestDistance) {
+			best = slot;
+			bestDistance = distance;
+		}
+	});
+	return best;
+}
+
+// every pair of floors that lines up in the given view, as { from, to } links
+var findAutoIllusions = (graph, view, polarAngle) => {
+	const floors = [...graph.nodes.values()].filter((node) => node.kind === NODE_FLOOR);
+	const links = [];
+	floors.forEach((from, i) => {
+		floors.slice(i + 1).forEach((to) => {
+			if (graph.edges.get(cellKey(from)).includes(cellKey(to))) {
+				return;
+			}
+			if (findIllusionStep(from, to, view, polarAngle) !== null) {
+				links.push({ from, to });
+			}
+		});
+	});
+	return links;
+}
+
+// copy of the graph with the links for one view added; each link is walkable both ways
+// and remembers the slot next to its start where the character crosses the seam
+var withIllusions = (graph, links, view, polarAngle) => {
+	const edges = new Map();
+	graph.edges.forEach((neighbors, key) => edges.set(key, [...neighbors]));
+	const illusions = new Map();
+
+	links.forEach(({ from, to }) => {
+		const a = graph.nodes.get(cellKey(from));
+		const b = graph.nodes.get(cellKey(to));
+		if (a === undefined || b === undefined) {
+			return;
+		}
+		const slotFromA = findIllusionStep(a, b, view, polarAngle);
+		const slotFromB = findIllusionStep(b, a, view, polarAngle);
+		if (slotFromA === null || slotFromB === null) {
+			return;
+		}
+		edges.get(cellKey(a)).push(cellKey(b));
+		edges.get(cellKey(b)).push(cellKey(a));
+		illusions.set(edgeKey(a, b), { slot: slotFromA });
+		illusions.set(edgeKey(b, a), { slot: slotFromB });
+	});
+
+	return { nodes: graph.nodes, edges, illusions, portals: graph.portals };
+}
+
+// ========== SEARCH ==========
+// binary heap, pop() returns the smallest item according to compare
+class MinHeap {
+	constructor(compare) {
+		this.items = [];
+		this.compare = compare;
+	}
+
+	get size() {
+		return this.items.length;
+	}
+
+	push(item) {
+		const items = this.items;
+		items.push(item);
+		let i = items.length - 1;
+		while (i > 0) {
+			const parent = (i - 1) >> 1;
+			if (this.compare(items[i], items[parent]) >= 0) {
+				break;
+			}
+			[items[i], items[parent]] = [items[parent], items[i]];
+			i = parent;
+		}
+	}
+
+	pop() {
+		const items = this.items;
+		const top = items[0];
+		const last = items.pop();
+		if (items.length > 0) {
+			items[0] = last;
+			let i = 0;
+			while (true) {
+				const left = i * 2 + 1;
+				const right = left + 1;
+				let smallest = i;
+				if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+				if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+				if (smallest === i) {
+					break;
+				}
+				[items[i], items[smallest]] = [items[smallest], items[i]];
+				i = smallest;
+			}
+		}
+		return top;
+	}
+}
+
+// heading of a step on screen, an illusion step heads for its seam;
+// a portal has none, whichever way the character leaves it is not a turn
+var stepDirection = (graph, from, to) => {
+	if (graph.portals.has(edgeKey(from, to))) {
+		return null;
+	}
+	const illusion = graph.illusions.get(edgeKey(from, to));
+	const towards = illusion ? illusion.slot : to;
+	return `${Math.sign(towards.x - from.x)},${Math.sign(towards.y - from.y)}`;
+}
+
+// A* from start to dest, returns the nodes after start or null when dest cannot be reached.
+// stepCost(node) is what walking onto a node costs, the cost of its cell type by default,
+// and going through a portal is free;
+// among routes of the same cost the one with the fewest turns wins, so straight lines are preferred.
+var findGraphPath = (graph, start, dest, stepCost = (node) => node.cost) => {
+	const startKey = cellKey(start);
+	const destKey = cellKey(dest);
+	if (!graph.nodes.has(startKey) || !graph.nodes.has(destKey)) {
+		return null;
+	}
+
+	// every step moves at most one cell across, unless an illusion or a portal jumps further
+	const target = graph.nodes.get(destKey);
+	let minCost = Infinity;
+	graph.nodes.forEach((node) => {
+		minCost = Math.min(minCost, stepCost(node));
+	});
+	const estimate = graph.illusions.size > 0 || graph.portals.size > 0
+		? () => 0
+		: (node) => (Math.abs(node.x - target.x) + Math.abs(node.y - target.y)) * minCost;
+
+	// a search state is a node together with the heading it was entered with, so turns can be counted
+	const stateKey = (key, direction) => `${key}|${direction}`;
+	const isBetter = (a, b) => b === undefined || a.cost < b.cost || (a.cost === b.cost && a.turns < b.turns);
+	const startState = stateKey(startKey, null);
+	const best = new Map([[startState, { cost: 0, turns: 0 }]]);
+	const parents = new Map();
+	const open = new MinHeap((a, b) => (a.cost + a.estimate) - (b.cost + b.estimate) || a.turns - b.turns);
+	open.push({ key: startKey, direction: null, cost: 0, turns: 0, estimate: estimate(graph.nodes.get(startKey)) });
+
+	while (open.size > 0) {
+		const curr = open.pop();
+		const currState = stateKey(curr.key, curr.direction);
+		// a better way into this state was found after this one was queued
+		if (isBetter(best.get(currState), curr)) {
+			continue;
+		}
+
+		if (curr.key === destKey) {
+			// configure path
+			const path = [];
+			for (let state = currState; state !== startState; state = parents.get(state)) {
+				path.push(graph.nodes.get(state.split('|')[0]));
+			}
+			return path.reverse();
+		}
+
+		const node = graph.nodes.get(curr.key);
+		graph.edges.get(curr.key).forEach((neighborKey) => {
+			const neighbor = graph.nodes.get(neighborKey);
+			const direction = stepDirection(graph, node, neighbor);
+			const next = {
+				key: neighborKey,
+				direction,
+				cost: curr.cost + (graph.portals.has(edgeKey(node, neighbor)) ? 0 : stepCost(neighbor)),
+				turns: curr.turns + (curr.direction !== null && direction !== null && curr.direction !== direction ? 1 : 0),
+				estimate: estimate(neighbor)
+			};
+			const state = stateKey(neighborKey, direction);
+			if (isBetter(next, best.get(state))) {
+				best.set(state, { cost: next.cost, turns: next.turns });
+				parents.set(state, currState);
+				open.push(next);
+			}
+		});
+	}
+	return null;
+}
+
+// the node reachable from start that is closest to dest in a straight line, or null when
+// nothing reachable is closer than start itself; used when dest cannot be reached
+var findNearestReachable = (graph, start, dest) => {
+	const startKey = cellKey(start);
+	if (!graph.nodes.has(startKey)) {
+		return null;
+	}
+	const distance = (node) => Math.hypot(node.z - dest.z, node.x - dest.x, node.y - dest.y);
+
+	let nearest = null;
+	let nearestDistance = distance(start);
+	const visited = new Set([startKey]);
+	const queue = [startKey];
+	// walk the queue with an index, shift() would make the search quadratic
+	for (let head = 0; head < queue.length; head++) {
+		const currKey = queue[head];
+		const node = graph.nodes.get(currKey);
+		// breadth first, so among equally close nodes the one with the shortest walk wins
+		if (distance(node) < nearestDistance) {
+			nearest = node;
+			nearestDistance = distance(node);
+		}
+		graph.edges.get(currKey).forEach((neighborKey) => {
+			if (!visited.has(neighborKey)) {
+				visited.add(neighborKey);
+				queue.push(neighborKey);
+			}
+		});
+	}
+	return nearest;
+}
+
+// route for the click handler: A* to dest, or to the reachable node closest to it
+// when dest is out of reach; empty when the character cannot get any closer
+var findRoute = (graph, start, dest, stepCost) => {
+	const route = findGraphPath(graph, start, dest, stepCost);
+	if (route !== null) {
+		return route;
+	}
+	const nearest = findNearestReachable(graph, start, dest);
+	return nearest === null ? [] : findGraphPath(graph, start, nearest, stepCost);
+}
+
+// ========== COSTS ==========
+// cells within LIGHT_RADIUS blocks of a revealed light cost LIT_COST of their usual price to walk
+const LIGHT_RADIUS = 3;
+const LIT_COST = 0.5;
+
+// step cost for findGraphPath(), the character is drawn towards the lights it has revealed
+var makeStepCost = (litCells) => (node) => {
+	const isLit = litCells.some((cell) => Math.hypot(cell.z - node.z, cell.x - node.x, cell.y - node.y) <= LIGHT_RADIUS);
+	return isLit ? node.cost * LIT_COST : node.cost;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		NODE_FLOOR, NODE_STAIRS, VIEW_AZIMUTHS,
+		cellKey, edgeKey, buildNavGraph, findGraphPath, findNearestReachable, findRoute, makeStepCost,
+		projectCell, findIllusionStep, findAutoIllusions, withIllusions, MinHeap
+	};
+}
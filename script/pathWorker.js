@@ -0,0 +1,20 @@
+// Web Worker side of script/pathfinder.js: holds the latest navigation graph and
+// answers { type: 'find', id, start, dest, litCells } with { id, route }.
+
+importScripts('grid.js', 'navigation.js');
+
+let workerGraph = null;
+
+self.onmessage = (event) => {
+	const message = event.data;
+	if (message.type === 'graph') {
+		workerGraph = message.graph;
+		return;
+	}
+	if (message.type === 'find') {
+		const route = workerGraph === null
+			? []
+			: findRoute(workerGraph, message.start, message.dest, makeStepCost(message.litCells));
+		self.postMessage({ id: message.id, route });
+	}
+}
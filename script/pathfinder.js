@@ -0,0 +1,73 @@
+// Route requests answered off the main thread. script/pathWorker.js keeps a copy of the
+// navigation graph (sent by syncPathGraph() whenever navGraph changes) and runs findRoute()
+// there, so a long search never holds up rendering. Where workers cannot start (file://,
+// blocked by the browser) the same search runs inline instead.
+
+let pathWorker = null;
+// pending requests by id: { resolve, start, dest, litCells }
+const pathRequests = new Map();
+let nextPathRequestId = 0;
+
+// called once by initGame()
+var startPathfinder = () => {
+	if (typeof Worker === 'undefined') {
+		return;
+	}
+	try {
+		pathWorker = new Worker('script/pathWorker.js');
+	} catch (error) {
+		console.warn('pathfinding worker unavailable, searching on the main thread', error);
+		return;
+	}
+	pathWorker.onmessage = (event) => {
+		const request = pathRequests.get(event.data.id);
+		if (request !== undefined) {
+			pathRequests.delete(event.data.id);
+			// hand back the main thread's own nodes, not the worker's copies
+			request.resolve(event.data.route.map((node) => navGraph.nodes.get(cellKey(node)) || node));
+		}
+	};
+	// a worker that fails to load reports it here, the pending requests are answered inline
+	pathWorker.onerror = (event) => {
+		console.warn('pathfinding worker failed, searching on the main thread', event.message);
+		pathWorker.terminate();
+		pathWorker = null;
+		pathRequests.forEach((request) => {
+			request.resolve(findRoute(navGraph, request.start, request.dest, makeStepCost(request.litCells)));
+		});
+		pathRequests.clear();
+	};
+	syncPathGraph(navGraph);
+}
+
+// called by applyIllusions() every time navGraph is replaced
+var syncPathGraph = (graph) => {
+	if (pathWorker !== null && graph !== undefined) {
+		pathWorker.postMessage({ type: 'graph', graph });
+	}
+}
+
+// resolves to findRoute(navGraph, start, dest, makeStepCost(litCells)), see script/navigation.js;
+// rejects with an AbortError once `signal` aborts. The worker cannot be interrupted mid-search,
+// an aborted request just has its answer thrown away.
+var requestRoute = (start, dest, litCells, signal) => {
+	return new Promise((resolve, reject) => {
+		const abortError = () => new DOMException('route request aborted', 'AbortError');
+		if (signal.aborted) {
+			reject(abortError());
+			return;
+		}
+		if (pathWorker === null) {
+			resolve(findRoute(navGraph, start, dest, makeStepCost(litCells)));
+			return;
+		}
+
+		const id = nextPathRequestId++;
+		pathRequests.set(id, { resolve, start, dest, litCells });
+		signal.addEventListener('abort', () => {
+			pathRequests.delete(id);
+			reject(abortError());
+		}, { once: true });
+		pathWorker.postMessage({ type: 'find', id, start, dest, litCells });
+	});
+}
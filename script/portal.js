@@ -0,0 +1,47 @@
+// Portals (see "portals" in levels/*.json):
+//   { "from": { z, x, y }, "to": { z, x, y } }
+// Both ends are CELL_PORTAL blocks. buildNavGraph() joins them with a step that costs
+// nothing, so a route may walk onto one end and carry on from the other; the character
+// fades out on the first and fades back in on the second.
+
+// each way, in ms
+const PORTAL_FADE = 300;
+// how long the glow above the portals takes to pulse once, in ms
+const PORTAL_PULSE = 2000;
+
+// glowing columns of the PortalBlocks on stage
+let portalGlows = [];
+// { start, arrivedAt } while the character goes through a portal
+let portalCrossing;
+
+// called by walkAlongPath() instead of walking when the next step goes through a portal
+var crossPortal = () => {
+	walkSpeed = 0;
+	if (portalCrossing === undefined || portalCrossing.arrivedAt !== undefined) {
+		portalCrossing = { start: Date.now(), arrivedAt: undefined };
+	}
+	const fraction = Math.min((Date.now() - portalCrossing.start) / PORTAL_FADE, 1);
+	characterAnimator.setOpacity(1 - fraction);
+	if (fraction >= 1) {
+		characterCell = path.shift();
+		character.position.copy(getNodePosition(characterCell));
+		portalCrossing.arrivedAt = Date.now();
+	}
+}
+
+// called every frame: the glow pulses and the character fades back in after a crossing
+var updatePortals = () => {
+	const pulse = (Math.sin(Date.now() * 2 * Math.PI / PORTAL_PULSE) + 1) / 2;
+	portalGlows.forEach((glow) => {
+		glow.material.opacity = 0.15 + 0.2 * pulse;
+	});
+
+	if (portalCrossing === undefined || portalCrossing.arrivedAt === undefined) {
+		return;
+	}
+	const fraction = Math.min((Date.now() - portalCrossing.arrivedAt) / PORTAL_FADE, 1);
+	characterAnimator.setOpacity(fraction);
+	if (fraction >= 1) {
+		portalCrossing = undefined;
+	}
+}
@@ -0,0 +1,87 @@
+// Falling to death and respawning (see "checkpoints" in levels/*.json):
+//   "checkpoints": [{ z, x, y }, ...]
+// The character respawns on the last checkpoint it stepped onto, the start to begin with.
+// applyGravity() reports every fall: landing more than DEADLY_FALL blocks below where the
+// fall began kills, and so does dropping FALL_OUT_DEPTH blocks with nothing underneath.
+
+// in blocks
+const DEADLY_FALL = 3;
+const FALL_OUT_DEPTH = 2;
+// in ms
+const DEATH_DURATION = 900;
+const RESPAWN_FADE = 400;
+
+let checkpoint;
+// respawns in the current level, shown in the level summary
+let respawnCount = 0;
+// { start } while the character fades out, and { start, respawned: true } while it fades back in
+let death;
+
+// called by enterLevel()
+var resetCheckpoints = () => {
+	checkpoint = level.start;
+	respawnCount = 0;
+	death = undefined;
+}
+
+// called by onCharacterStep()
+var reachCheckpoint = (cell) => {
+	if ((level.checkpoints || []).some((each) => isSameCell(each, cell))) {
+		checkpoint = cell;
+	}
+}
+
+var isDying = () => {
+	return death !== undefined && !death.respawned;
+}
+
+// called by applyGravity() while the character falls, `drop` in blocks since the fall began;
+// returns true when the fall is fatal
+var checkFall = (drop, landed, hasSupport) => {
+	if ((landed && drop > DEADLY_FALL) || (!hasSupport && drop > FALL_OUT_DEPTH)) {
+		die(landed);
+		return true;
+	}
+	return false;
+}
+
+var die = (landed) => {
+	stopWalking();
+	if (landed) {
+		fallSpeed = 0;
+	}
+	death = { start: Date.now() };
+}
+
+// called every frame: the character tumbles and fades away, then fades back in on the checkpoint
+var updateDeath = () => {
+	if (death === undefined) {
+		return;
+	}
+	const elapsed = Date.now() - death.start;
+	if (!death.respawned) {
+		character.position.z -= fallSpeed * blockSize * frameDelta;
+		characterAnimator.setOpacity(1 - Math.min(elapsed / DEATH_DURATION, 1));
+		if (elapsed >= DEATH_DURATION) {
+			respawn();
+		}
+		return;
+	}
+	characterAnimator.setOpacity(Math.min(elapsed / RESPAWN_FADE, 1));
+	if (elapsed >= RESPAWN_FADE) {
+		death = undefined;
+	}
+}
+
+var respawn = () => {
+	respawnCount++;
+	session.respawns++;
+	restoreCrumbles();
+	// the checkpoint may have been taken away since, the start is the last resort
+	const node = navGraph.nodes.get(cellKey(checkpoint)) || navGraph.nodes.get(cellKey(level.start));
+	characterCell = node || { ...level.start, kind: NODE_FLOOR };
+	character.position.copy(getNodePosition(characterCell));
+	walkSpeed = 0;
+	fallSpeed = 0;
+	death = { start: Date.now(), respawned: true };
+}
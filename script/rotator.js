@@ -0,0 +1,205 @@
+// Rotatable segments of the monument (see "rotators" in levels/*.json):
+//   { "cells": [{ z, x, y }, ...], "pivot": { z, x, y }, "axis": "z", "handle": { z, x, y } }
+// The meshes of the cells hang from a group centred on the pivot block. Dragging the
+// handle turns the group, letting go snaps it to the nearest quarter turn, and once the
+// snap settles the grid and the navigation graph follow the new shape.
+
+const TYPE_HANDLE = 'handle';
+const ROTATOR_SNAP_SPEED = 0.2;
+const QUARTER_TURN = Math.PI / 2;
+
+let rotators = [];
+let draggedRotator = null;
+// pointerId of the pointer holding the handle, captured by the canvas until it lets go
+let draggedPointer;
+
+// ========== SETUP ==========
+// every segment turns a group about the centre of its pivot block, see addCellGroup()
+var buildRotators = () => {
+	draggedRotator = null;
+	draggedPointer = undefined;
+	controls.enabled = true;
+	rotators = (level.rotators || []).map((definition, index) => {
+		const group = addCellGroup(getBlockCenter(definition.pivot));
+		group.updateMatrixWorld();
+
+		const rotator = {
+			index,
+			axis: definition.axis,
+			pivot: definition.pivot,
+			cells: definition.cells.map((cell) => ({ ...cell })),
+			group,
+			// angle the grid currently matches, and the one the group eases towards
+			angle: 0,
+			targetAngle: 0,
+			dragStart: 0
+		};
+
+		const handle = new THREE.Mesh(
+			new THREE.CylinderGeometry(blockSize / 6, blockSize / 6, blockSize * 0.8, 16),
+			new THREE.MeshLambertMaterial({ color: `rgb(${settings.tail})` })
+		);
+		handle.type = TYPE_HANDLE;
+		handle.userData.rotator = index;
+		handle.position.copy(getBlockCenter(definition.handle));
+		// the knob sticks out along the rotation axis
+		if (rotator.axis === 'x') handle.rotation.z = QUARTER_TURN;
+		if (rotator.axis === 'z') handle.rotation.x = QUARTER_TURN;
+		addToParent(handle, group);
+
+		return rotator;
+	});
+}
+
+var findRotator = (cell) => {
+	return rotators.find((rotator) => rotator.cells.some((each) => isSameCell(each, cell)));
+}
+
+// true while a segment is held or still easing onto its snap
+var isRotating = () => {
+	return rotators.some((rotator) =>
+		rotator === draggedRotator || rotator.group.rotation[rotator.axis] !== rotator.targetAngle
+	);
+}
+
+// ========== DRAGGING ==========
+var rotatorListener = () => {
+	// capture phase, so a grabbed handle never reaches OrbitControls
+	window.addEventListener('pointerdown', onHandleDown, true);
+	window.addEventListener('pointermove', onHandleMove, true);
+	window.addEventListener('pointerup', onHandleUp, true);
+	// a touch taken over by scrolling or an OS gesture never sends its pointerup
+	window.addEventListener('pointercancel', onHandleUp, true);
+}
+
+var setPointer = (event) => {
+	mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+	mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+	mousePointer.setFromCamera(mouse, camera);
+}
+
+// angle of the pointer around the pivot, measured in the plane the rotator turns in
+var getPointerAngle = (rotator) => {
+	const normal = new THREE.Vector3(
+		rotator.axis === 'x' ? 1 : 0,
+		rotator.axis === 'y' ? 1 : 0,
+		rotator.axis === 'z' ? 1 : 0
+	);
+	const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, rotator.group.position);
+	const hit = mousePointer.ray.intersectPlane(plane, new THREE.Vector3());
+	if (hit === null) {
+		return null;
+	}
+	const offset = hit.sub(rotator.group.position);
+	if (rotator.axis === 'x') return Math.atan2(offset.z, offset.y);
+	if (rotator.axis === 'y') return Math.atan2(offset.x, offset.z);
+	return Math.atan2(offset.y, offset.x);
+}
+
+var onHandleDown = (event) => {
+	if (event.target !== renderer.domElement || isTransitioning || isWalking()) {
+		return;
+	}
+	setPointer(event);
+	const hit = mousePointer.intersectObjects(rotators.map((rotator) => rotator.group), true)
+		.find((each) => each.object.type === TYPE_HANDLE);
+	if (hit === undefined) {
+		return;
+	}
+
+	const rotator = rotators[hit.object.userData.rotator];
+	// the segment cannot turn under the character's feet or while it is still settling
+	if (isRotating() || isMoverRunning() || findRotator(characterCell) === rotator) {
+		return;
+	}
+	const pointerAngle = getPointerAngle(rotator);
+	if (pointerAngle === null) {
+		return;
+	}
+
+	event.stopPropagation();
+	controls.enabled = false;
+	controls.autoRotate = false;
+	rotator.dragStart = pointerAngle;
+	draggedRotator = rotator;
+	draggedPointer = event.pointerId;
+	renderer.domElement.setPointerCapture(event.pointerId);
+}
+
+var onHandleMove = (event) => {
+	if (draggedRotator === null || event.pointerId !== draggedPointer) {
+		return;
+	}
+	setPointer(event);
+	const pointerAngle = getPointerAngle(draggedRotator);
+	if (pointerAngle !== null) {
+		draggedRotator.group.rotation[draggedRotator.axis] = draggedRotator.angle + pointerAngle - draggedRotator.dragStart;
+	}
+}
+
+var onHandleUp = (event) => {
+	if (draggedRotator === null || event.pointerId !== draggedPointer) {
+		return;
+	}
+	const rotator = draggedRotator;
+	draggedRotator = null;
+	draggedPointer = undefined;
+	controls.enabled = true;
+	if (renderer.domElement.hasPointerCapture(event.pointerId)) {
+		renderer.domElement.releasePointerCapture(event.pointerId);
+	}
+
+	const snapped = Math.round(rotator.group.rotation[rotator.axis] / QUARTER_TURN) * QUARTER_TURN;
+	rotator.targetAngle = canTurn(rotator, Math.round((snapped - rotator.angle) / QUARTER_TURN))
+		? snapped
+		: rotator.angle;
+}
+
+// ========== SNAPPING ==========
+// the turned cells must stay inside the grid and off every cell that is not part of the segment
+var canTurn = (rotator, turns) => {
+	return rotator.cells.every((cell) => {
+		const turned = rotateCell(cell, rotator.pivot, rotator.axis, turns);
+		if (floorplan[turned.z] === undefined || floorplan[turned.z][turned.x] === undefined ||
+			floorplan[turned.z][turned.x][turned.y] === undefined) {
+			return false;
+		}
+		return floorplan[turned.z][turned.x][turned.y] === CELL_BLANK ||
+			rotator.cells.some((each) => isSameCell(each, turned));
+	});
+}
+
+// called every frame, eases released segments onto their snap and commits the new shape
+var updateRotators = () => {
+	rotators.forEach((rotator) => {
+		const current = rotator.group.rotation[rotator.axis];
+		if (rotator === draggedRotator || current === rotator.targetAngle) {
+			return;
+		}
+		const remaining = rotator.targetAngle - current;
+		if (Math.abs(remaining) > 0.001) {
+			rotator.group.rotation[rotator.axis] = current + remaining * ROTATOR_SNAP_SPEED;
+			return;
+		}
+		rotator.group.rotation[rotator.axis] = rotator.targetAngle;
+		if (rotator.targetAngle !== rotator.angle) {
+			commitTurn(rotator, Math.round((rotator.targetAngle - rotator.angle) / QUARTER_TURN));
+			rotator.angle = rotator.targetAngle;
+		}
+	});
+}
+
+var commitTurn = (rotator, turns) => {
+	const codes = rotator.cells.map((cell) => floorplan[cell.z][cell.x][cell.y]);
+	rotator.cells.forEach((cell) => {
+		floorplan[cell.z][cell.x][cell.y] = CELL_BLANK;
+	});
+	const turnedCells = rotator.cells.map((cell) => rotateCell(cell, rotator.pivot, rotator.axis, turns));
+	turnedCells.forEach((cell, i) => {
+		floorplan[cell.z][cell.x][cell.y] = codes[i];
+	});
+
+	moveGroupCells(rotator.group, rotator.cells, turnedCells);
+	rotator.cells = turnedCells;
+	rebuildNavGraph();
+}
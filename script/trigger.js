@@ -0,0 +1,123 @@
+// Step triggers declared per level (see "triggers" in levels/*.json):
+//   { "cell": { z, x, y }, "once": true, "when": { ... }, "actions": [{ "type": ... }] }
+// they are evaluated every time the character steps onto a new cell.
+
+let activeTriggers = [];
+let firedTriggers = new Set();
+let lastStepCell;
+// sounds outlive the stage so they keep playing across level changes
+const soundChannels = {};
+
+// ========== CONDITIONS ==========
+const TRIGGER_CONDITIONS = {
+	// exactly this many hidden lights are lit
+	lightsRevealed: (count) => level.lights.hidden.length - progress.length === count,
+	allLights: (required) => !required || progress.length === 0
+};
+
+// ========== ACTIONS ==========
+const TRIGGER_ACTIONS = {
+	revealLight: async () => {
+		if (progress.length > 0) {
+			scene.add(progress.shift());
+		}
+	},
+	nextLevel: async () => {
+		await completeLevel();
+	},
+	showText: async ({ text, duration = 4000 }) => {
+		showCaption(text, duration);
+	},
+	playSound: async ({ src, volume = 1, loop = false }) => {
+		if (soundChannels[src] === undefined) {
+			soundChannels[src] = new Audio(src);
+		}
+		const sound = soundChannels[src];
+		sound.volume = volume;
+		sound.loop = loop;
+		sound.currentTime = 0;
+		// browsers refuse to play before the first user gesture, the beat is simply skipped
+		await sound.play().catch(() => {});
+	},
+	moveMover: async ({ id }) => {
+		sendMover(id);
+	},
+	toggleGate: async ({ id }) => {
+		toggleGate(id);
+	}
+};
+
+// ========== RUNNER ==========
+// called by enterLevel(), the campaign completion is just one more trigger
+var resetTriggers = () => {
+	activeTriggers = [...level.triggers, getCompletionTrigger()];
+	firedTriggers = new Set();
+	lastStepCell = undefined;
+}
+
+// a level change that failed fired the completion trigger for nothing, see changeLevel()
+var rearmCompletion = () => {
+	firedTriggers.forEach((trigger) => {
+		if (trigger.actions.some((action) => action.type === 'nextLevel')) {
+			firedTriggers.delete(trigger);
+		}
+	});
+}
+
+var onCharacterStep = async (cell) => {
+	if (lastStepCell !== undefined && isSameCell(cell, lastStepCell)) {
+		return;
+	}
+	const previous = lastStepCell;
+	lastStepCell = cell;
+	// cell types may react to the character coming and going, see registerCellType()
+	if (previous !== undefined) {
+		const left = getCellType(floorplan[previous.z][previous.x][previous.y]);
+		if (left.onLeave) left.onLeave(previous);
+	}
+	const entered = getCellType(floorplan[cell.z][cell.x][cell.y]);
+	if (entered.onStep) entered.onStep(cell);
+	reachCheckpoint(cell);
+	await runTriggers(cell);
+}
+
+var runTriggers = async (cell) => {
+	const triggers = activeTriggers;
+	for (const trigger of triggers) {
+		if (!isSameCell(cell, trigger.cell) || firedTriggers.has(trigger)) {
+			continue;
+		}
+		const conditions = Object.entries(trigger.when || {});
+		if (!conditions.every(([name, value]) => TRIGGER_CONDITIONS[name](value))) {
+			continue;
+		}
+
+		if (trigger.once) {
+			firedTriggers.add(trigger);
+		}
+		for (const action of trigger.actions) {
+			await TRIGGER_ACTIONS[action.type](action);
+			// a "nextLevel" action replaced the level under our feet
+			if (triggers !== activeTriggers) {
+				return;
+			}
+		}
+	}
+}
+
+// ========== CAPTION ==========
+let captionTimeout;
+
+var showCaption = (text, duration) => {
+	let caption = document.getElementById('caption');
+	if (caption === null) {
+		caption = document.createElement('p');
+		caption.id = 'caption';
+		document.body.appendChild(caption);
+	}
+	caption.textContent = text;
+	caption.classList.add('visible');
+
+	clearTimeout(captionTimeout);
+	captionTimeout = setTimeout(() => caption.classList.remove('visible'), duration);
+}
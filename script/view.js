@@ -0,0 +1,119 @@
+// Camera views for the perspective illusions (see "illusions" in levels/*.json).
+// In a level with illusions, once the player lets go of the camera it eases onto the
+// nearest of the four views in VIEW_AZIMUTHS, and while it rests there the illusion
+// links of that view are part of the navigation graph. Other levels keep a free camera.
+
+// snapped view index, null while the camera is between views
+let cameraView = null;
+let isDraggingCamera = false;
+// view the camera is turned to by the keyboard (see script/keyboard.js), undefined to snap to the nearest
+let targetView;
+const VIEW_SNAP_EPSILON = 0.01;
+const VIEW_SNAP_SPEED = 0.15;
+const UP_AXIS = new THREE.Vector3(0, 0, 1);
+
+// ========== CAMERA ==========
+var viewListener = () => {
+	controls.addEventListener('start', () => {
+		isDraggingCamera = true;
+		targetView = undefined;
+	});
+	controls.addEventListener('end', () => {
+		isDraggingCamera = false;
+	});
+}
+
+var getCameraAzimuth = () => {
+	const offset = camera.position.clone().sub(controls.target);
+	return Math.atan2(offset.y, offset.x);
+}
+
+// signed angle still to turn from `azimuth` to reach a snapped view
+var getViewDelta = (view, azimuth) => {
+	const viewAzimuth = VIEW_AZIMUTHS[view];
+	return Math.atan2(Math.sin(viewAzimuth - azimuth), Math.cos(viewAzimuth - azimuth));
+}
+
+// nearest snapped view and the signed angle still to turn to reach it
+var getNearestView = (azimuth) => {
+	let nearest = { view: 0, delta: Infinity };
+	VIEW_AZIMUTHS.forEach((viewAzimuth, view) => {
+		const delta = getViewDelta(view, azimuth);
+		if (Math.abs(delta) < Math.abs(nearest.delta)) {
+			nearest = { view, delta };
+		}
+	});
+	return nearest;
+}
+
+var rotateCamera = (angle) => {
+	const offset = camera.position.clone().sub(controls.target);
+	offset.applyAxisAngle(UP_AXIS, angle);
+	camera.position.copy(controls.target).add(offset);
+}
+
+// turns the camera `turns` views round, counter-clockwise seen from above when positive
+var turnCameraView = (turns) => {
+	const from = targetView === undefined ? getNearestView(getCameraAzimuth()).view : targetView;
+	targetView = ((from + turns) % VIEW_AZIMUTHS.length + VIEW_AZIMUTHS.length) % VIEW_AZIMUTHS.length;
+	controls.autoRotate = false;
+}
+
+// moves the camera `factor` times as far from its target, within the distances OrbitControls allows
+var zoomCamera = (factor) => {
+	const offset = camera.position.clone().sub(controls.target);
+	offset.setLength(THREE.MathUtils.clamp(offset.length() * factor, controls.minDistance, controls.maxDistance));
+	camera.position.copy(controls.target).add(offset);
+}
+
+// called every frame before controls.update()
+var updateCameraView = () => {
+	const azimuth = getCameraAzimuth();
+	const { view, delta } = targetView === undefined
+		? getNearestView(azimuth)
+		: { view: targetView, delta: getViewDelta(targetView, azimuth) };
+	if (targetView !== undefined && Math.abs(delta) <= VIEW_SNAP_EPSILON) {
+		targetView = undefined;
+	}
+	// a turn asked for by the keyboard or the gamepad is finished in any level
+	const isSnapping = targetView !== undefined || hasIllusions();
+	if (isSnapping && !controls.autoRotate && !isDraggingCamera && Math.abs(delta) > VIEW_SNAP_EPSILON) {
+		rotateCamera(delta * VIEW_SNAP_SPEED);
+	}
+
+	// without illusions the view a camera rests in changes nothing, navGraph stays the level graph
+	if (!hasIllusions()) {
+		return;
+	}
+	const snapped = Math.abs(delta) <= VIEW_SNAP_EPSILON ? view : null;
+	if (snapped !== cameraView) {
+		cameraView = snapped;
+		applyIllusions();
+	}
+}
+
+// ========== ILLUSIONS ==========
+var hasIllusions = () => {
+	const illusions = level.illusions;
+	return illusions !== undefined && (illusions.auto === true || (illusions.links || []).length > 0);
+}
+
+var getIllusionLinks = (view) => {
+	const illusions = level.illusions || { auto: false, links: [] };
+	const links = (illusions.links || []).filter((link) => link.view === view);
+	if (illusions.auto) {
+		links.push(...findAutoIllusions(baseNavGraph, view, controls.getPolarAngle()));
+	}
+	return links;
+}
+
+// rebuilds navGraph from the level graph and the links of the current view
+var applyIllusions = () => {
+	if (baseNavGraph === undefined) {
+		return;
+	}
+	navGraph = cameraView === null || !hasIllusions()
+		? baseNavGraph
+		: withIllusions(baseNavGraph, getIllusionLinks(cameraView), cameraView, controls.getPolarAngle());
+	syncPathGraph(navGraph);
+}
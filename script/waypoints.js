@@ -0,0 +1,229 @@
+// Waypoints, for when the player wants a route of their own rather than the pathfinder's:
+//   Shift + click (or tap) a platform to queue it, the character walks to every queued platform
+//   in turn, each leg searched from where the previous one ends;
+//   press on the platform the route ends on (the character's own when it stands still) and drag
+//   across adjacent platforms to draw the route cell by cell; the press stays an ordinary click or
+//   orbit until it is dragged off that platform onto one linked to it.
+// A leg is only queued when it reaches its platform. Legs are appended to `path`, so the
+// character walks them without stopping in between, and applyMovement() drops the rest as soon
+// as a step is no longer walkable. A plain selection or a movement key cancels the queue.
+// Every queued platform carries a marker until the character gets there.
+
+const WAYPOINT_MARKER_SIZE = 0.2;
+
+// { mesh, marker, fromEnd } in the order they are reached,
+// `fromEnd` is how many steps of `path` come after the waypoint
+let waypoints = [];
+// AbortController of the leg still being searched for
+let waypointRequest;
+// { id, x, y } of a press on the route end, which may still turn out to be a click or an orbit
+let pendingDraw;
+// pointerId of the pointer drawing a route
+let drawingPointer;
+// shared by every marker, created with the first one
+let markerGeometry;
+let markerMaterial;
+
+// ========== QUEUE ==========
+// where the route being walked ends, and so where the next leg starts
+var getRouteEnd = () => {
+	return path.length > 0 ? path[path.length - 1] : characterCell;
+}
+
+// Shift + click, see selectCell()
+var queueWaypoint = async (cell) => {
+	const mesh = findCellMesh(cell);
+	// a leg starts where the one before ends, which is unknown while that is searched for
+	if (!canSelectCell() || mesh === undefined || mesh.type !== TYPE_PLATFORM
+		|| pathRequest !== undefined || waypointRequest !== undefined) {
+		return;
+	}
+	controls.autoRotate = false;
+	const start = getRouteEnd();
+	const request = new AbortController();
+	waypointRequest = request;
+	let route;
+	try {
+		route = await requestRoute(start, cell, getLitCells(), request.signal);
+	} catch (error) {
+		if (error.name === 'AbortError') {
+			return;
+		}
+		throw error;
+	} finally {
+		if (waypointRequest === request) {
+			waypointRequest = undefined;
+		}
+	}
+	const end = route.length > 0 ? route[route.length - 1] : start;
+	if (!isSameCell(end, cell)) {
+		showUnreachable(mesh, false);
+		return;
+	}
+	// the route may have been cut short while the leg was searched for
+	if (route.length > 0 && isSameCell(getRouteEnd(), start)) {
+		extendRoute(route, mesh);
+	}
+}
+
+// appends `steps` to the route, and a waypoint on `mesh` at their end
+var extendRoute = (steps, mesh) => {
+	waypoints.forEach((waypoint) => {
+		waypoint.fromEnd += steps.length;
+	});
+	path = [...path, ...steps];
+	isMoving = true;
+	if (mesh !== undefined) {
+		waypoints.push({ mesh, marker: addMarker(mesh), fromEnd: 0 });
+	}
+}
+
+// called every frame: markers go once the character gets to them, or once the route is dropped
+var updateWaypoints = () => {
+	while (waypoints.length > 0 && path.length <= waypoints[0].fromEnd) {
+		removeMarker(waypoints.shift());
+	}
+}
+
+var clearWaypoints = () => {
+	if (waypointRequest !== undefined) {
+		waypointRequest.abort();
+		waypointRequest = undefined;
+	}
+	waypoints.forEach(removeMarker);
+	waypoints = [];
+}
+
+// called by disposeStage(), the markers went with the old stage
+var resetWaypoints = () => {
+	clearWaypoints();
+	pendingDraw = undefined;
+	if (drawingPointer !== undefined) {
+		drawingPointer = undefined;
+		controls.enabled = true;
+	}
+	markerGeometry = undefined;
+	markerMaterial = undefined;
+}
+
+// ========== MARKERS ==========
+// a small diamond of light on top of the block
+var addMarker = (mesh) => {
+	if (markerGeometry === undefined) {
+		markerGeometry = new THREE.CircleGeometry(blockSize * WAYPOINT_MARKER_SIZE, 4);
+		markerMaterial = new THREE.MeshBasicMaterial({ color: `rgb(${settings.pointLight})`, side: THREE.DoubleSide });
+	}
+	const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+	marker.position.z = blockSize / 2 + 0.2;
+	marker.raycast = () => {};
+	mesh.add(marker);
+	return marker;
+}
+
+var removeMarker = (waypoint) => {
+	waypoint.mesh.remove(waypoint.marker);
+}
+
+// ========== DRAWING ==========
+// capture phase, so OrbitControls are disabled before a drawing pointer's moves reach them;
+// registered after rotatorListener(), a grabbed handle is already known by then
+var waypointListener = () => {
+	window.addEventListener('pointerdown', onDrawStart, true);
+	window.addEventListener('pointermove', onDrawMove, true);
+	window.addEventListener('pointerup', onDrawEnd, true);
+	window.addEventListener('pointercancel', onDrawEnd, true);
+}
+
+// only notes the press, the events go on to OrbitControls and the tap detection
+var onDrawStart = (event) => {
+	// a second finger makes it a gesture
+	if (pendingDraw !== undefined) {
+		pendingDraw = undefined;
+		return;
+	}
+	if (event.target !== renderer.domElement || draggedRotator !== null || drawingPointer !== undefined
+		|| (event.pointerType === 'mouse' && event.button !== 0)) {
+		return;
+	}
+	if (!canSelectCell() || pathRequest !== undefined || waypointRequest !== undefined) {
+		return;
+	}
+	const mesh = findPlatformAt(event.clientX, event.clientY);
+	if (mesh === undefined || !isSameCell(mesh.userData.cell, getRouteEnd())) {
+		return;
+	}
+	pendingDraw = { id: event.pointerId, x: event.clientX, y: event.clientY };
+}
+
+var onDrawMove = (event) => {
+	if (pendingDraw !== undefined && event.pointerId === pendingDraw.id) {
+		startDrawing(event);
+		return;
+	}
+	if (event.pointerId !== drawingPointer) {
+		return;
+	}
+	const mesh = findPlatformAt(event.clientX, event.clientY);
+	if (mesh === undefined || !canSelectCell()) {
+		return;
+	}
+	const steps = findDrawnSteps(getRouteEnd(), mesh.userData.cell);
+	if (steps !== undefined) {
+		extendRoute(steps, mesh);
+	}
+}
+
+// a press dragged off the route end: onto a platform linked to it the route is drawn from here
+// on, anywhere else it is left to OrbitControls; the drag already rules out a tap
+var startDrawing = (event) => {
+	if (Math.hypot(event.clientX - pendingDraw.x, event.clientY - pendingDraw.y) <= TAP_DISTANCE) {
+		return;
+	}
+	const mesh = findPlatformAt(event.clientX, event.clientY);
+	const end = getRouteEnd();
+	if (mesh !== undefined && isSameCell(mesh.userData.cell, end)) {
+		return;
+	}
+	pendingDraw = undefined;
+	const steps = mesh === undefined || !canSelectCell() || pathRequest !== undefined || waypointRequest !== undefined
+		? undefined
+		: findDrawnSteps(end, mesh.userData.cell);
+	if (steps === undefined) {
+		return;
+	}
+	controls.enabled = false;
+	controls.autoRotate = false;
+	drawingPointer = event.pointerId;
+	extendRoute(steps, mesh);
+}
+
+var onDrawEnd = (event) => {
+	if (pendingDraw !== undefined && event.pointerId === pendingDraw.id) {
+		pendingDraw = undefined;
+	}
+	if (event.pointerId !== drawingPointer) {
+		return;
+	}
+	drawingPointer = undefined;
+	controls.enabled = true;
+}
+
+// the steps from one platform to the next one drawn over: a single step when they are linked,
+// or two across the flight of stairs between them
+var findDrawnSteps = (from, to) => {
+	if (isSameCell(from, to)) {
+		return undefined;
+	}
+	const neighbors = (node) => navGraph.edges.get(cellKey(node)) || [];
+	const next = navGraph.nodes.get(cellKey(to));
+	if (next === undefined) {
+		return undefined;
+	}
+	if (neighbors(from).includes(cellKey(to))) {
+		return [next];
+	}
+	const stairs = neighbors(from)
+		.map((key) => navGraph.nodes.get(key))
+		.find((node) => node !== undefined && node.kind === NODE_STAIRS && neighbors(node).includes(cellKey(to)));
+	return stairs === undefined ? undefined : [stairs, next];
+}